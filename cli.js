@@ -41,6 +41,7 @@ import * as plonk from "./src/plonk.js";
 import * as fflonk from "./src/fflonk.js";
 import * as wtns from "./src/wtns.js";
 import * as curves from "./src/curves.js";
+import * as bundle from "./src/bundle.js";
 import path from "path";
 import bfj from "bfj";
 
@@ -280,6 +281,19 @@ const commands = [
         alias: ["g16v", "verify -vk|verificationkey -pub|public -p|proof"],
         action: groth16Verify
     },
+    {
+        cmd: "bundle keygen [release_key] [release_key.pub]",
+        description: "Creates an Ed25519 key pair to sign circuit bundles",
+        alias: ["bk"],
+        action: bundleKeygen
+    },
+    {
+        cmd: "bundle publish [circuit.wasm] [circuit_final.zkey] [verification_key.json] [release_key] [bundle]",
+        description: "Creates a bundle directory with the circuit files and a manifest signed with the release key",
+        alias: ["bp"],
+        options: "-verbose|v",
+        action: bundlePublish
+    },
     {
         cmd: "plonk setup [circuit.r1cs] [powersoftau.ptau] [circuit.zkey]",
         description: "Creates an initial PLONK pkey ",
@@ -581,6 +595,49 @@ async function groth16Verify(params, options) {
     }
 }
 
+// bundle keygen [release_key] [release_key.pub]
+async function bundleKeygen(params) {
+    const privateKeyName = params[0] || "release_key";
+    const publicKeyName = params[1] || privateKeyName + ".pub";
+
+    const {privateKey, publicKey} = bundle.generateKey();
+
+    await fs.promises.writeFile(privateKeyName, privateKey + "\n", {mode: 0o600});
+    await fs.promises.writeFile(publicKeyName, publicKey + "\n");
+
+    console.log(`Public key: ${publicKey}`);
+
+    return 0;
+}
+
+// bundle publish [circuit.wasm] [circuit_final.zkey] [verification_key.json] [release_key] [bundle]
+async function bundlePublish(params, options) {
+    const wasmName = params[0] || "circuit.wasm";
+    const zkeyName = params[1] || "circuit_final.zkey";
+    const vkeyName = params[2] || "verification_key.json";
+    const privateKeyName = params[3] || "release_key";
+    const bundleDir = params[4] || "bundle";
+
+    if (options.verbose) Logger.setLogLevel("DEBUG");
+
+    const privateKey = fs.readFileSync(privateKeyName, "utf8").trim();
+
+    const files = {wasm: wasmName, zkey: zkeyName, vkey: vkeyName};
+    const manifest = await bundle.createManifest(files, logger);
+    const signed = bundle.signManifest(manifest, privateKey);
+
+    await fs.promises.mkdir(bundleDir, {recursive: true});
+    for (const id of Object.keys(files)) {
+        await fs.promises.copyFile(files[id], path.join(bundleDir, manifest.files[id].name));
+    }
+    await fs.promises.writeFile(path.join(bundleDir, bundle.MANIFEST_NAME), signed.manifest);
+    await fs.promises.writeFile(path.join(bundleDir, bundle.SIGNATURE_NAME), signed.signature + "\n");
+
+    logger.info(`Bundle written to ${bundleDir}. Signed by ${bundle.getPublicKey(privateKey)}`);
+
+    return 0;
+}
+
 // zkey export vkey [circuit_final.zkey] [verification_key.json]",
 async function zkeyExportVKey(params, options) {
     const zKeyFileName = params[0] || "circuit_final.zkey";
@@ -16,7 +16,7 @@ export const O_EXCL = ${O_EXCL};
 export const O_RDONLY = ${O_RDONLY}
 `;
 
-export default {
+const config = {
     input: "main.js",
     output: {
         file: "build/snarkjs.js",
@@ -36,6 +36,7 @@ export default {
             ejs: empty,
             events: empty,
             stream: empty,
+            zlib: empty,
             util: empty,
             constants: constants,
         }),
@@ -53,3 +54,16 @@ export default {
         visualizer(),
     ]
 };
+
+// Script of the workers of groth16.createProverWorker
+export const workerConfig = {
+    ...config,
+    input: "worker.js",
+    output: {
+        ...config.output,
+        file: "build/snarkjs_worker.js",
+        name: "snarkjsWorker"
+    },
+};
+
+export default [config, workerConfig];
@@ -1,15 +1,15 @@
-import config from './rollup.iife.config';
+import configs from "./rollup.iife.config";
 import { terser } from "rollup-plugin-terser";
 
-export default {
+export default configs.map( (config) => ({
     ...config,
     output: {
         ...config.output,
-        file: "build/snarkjs.min.js",
+        file: config.output.file.replace(/\.js$/, ".min.js"),
         sourcemap: false,
     },
     plugins: [
         ...config.plugins,
         terser(),
     ]
-};
+}));
@@ -1 +1,7 @@
 export * as groth16 from "./src/groth16.js";
+export * as zKey from "./src/zkey.js";
+export * as aggregation from "./src/aggregation.js";
+export * as artifactCache from "./src/fastfile/artifactcache.js";
+export * as bundle from "./src/bundle.js";
+export * as curves from "./src/curves.js";
+export { terminate } from "./src/curves.js";
@@ -0,0 +1,233 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// SnarkPack aggregation of groth16 proofs: https://eprint.iacr.org/2021/529.pdf
+//
+// For m proofs (A_i, B_i, C_i) and commitment keys v = (h^(a^i), h^(b^i)) and
+// w = (g^(a^(m+i)), g^(b^(m+i))), the prover:
+//  1. Commits to the A, B and C vectors (com_ab, com_c).
+//  2. Derives r from the transcript and computes
+//         z_ab = prod_i e(A_i, B_i)^(r^i)     z_c = sum_i r^i*C_i
+//  3. Proves both inner products with log2(m) GIPA rounds (TIPP for z_ab and
+//     MIPP for z_c share the challenges and the folded v key).
+//  4. Proves with KZG openings at a random point that the final v and w keys
+//     are the right folding of the SRS.
+
+import { getCurveFromName } from "./curves.js";
+import { log2 } from "./misc.js";
+import {
+    AGGREGATION_PROTOCOL,
+    createTranscript,
+    pairingProduct,
+    powers,
+    foldingPolynomial,
+    kzgQuotient,
+    toScalarsBuff,
+    toAffineBuff
+} from "./aggregation_utils.js";
+import { utils } from "ffjavascript";
+const {stringifyBigInts, unstringifyBigInts} = utils;
+
+// items: [{proof, publicSignals}, ...] for the same verification key. When
+// their number is not a power of 2, the last one is repeated to fill the batch.
+export default async function aggregationProve(srs, items, logger) {
+    if (items.length == 0) throw new Error("Nothing to aggregate");
+
+    const curve = await getCurveFromName(srs.curve);
+    try {
+        return await aggregate(curve, srs, items, logger);
+    } finally {
+        await curve.terminate();
+    }
+}
+
+async function aggregate(curve, srs, items, logger) {
+    const Fr = curve.Fr;
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+
+    const nProofs = items.length;
+    let m = 2;
+    while (m < nProofs) m *= 2;
+    if (m > srs.n) {
+        throw new Error(`SRS too small. It supports ${srs.n} proofs, ${m} needed`);
+    }
+    const nRounds = log2(m);
+
+    let A = [];
+    let B = [];
+    let C = [];
+    const transcript = createTranscript(curve);
+    transcript.addScalar(nProofs);
+    for (let i=0; i<m; i++) {
+        const item = items[Math.min(i, nProofs-1)];
+        const proof = unstringifyBigInts(item.proof);
+        if ((proof.protocol) && (proof.protocol != "groth16")) {
+            throw new Error(`Proof ${i} is not a groth16 proof`);
+        }
+        if ((proof.curve) && (proof.curve != curve.name)) {
+            throw new Error(`Proof ${i} is not on curve ${curve.name}`);
+        }
+        A.push(G1.fromObject(proof.pi_a));
+        B.push(G2.fromObject(proof.pi_b));
+        C.push(G1.fromObject(proof.pi_c));
+        if (i < nProofs) {
+            for (const s of unstringifyBigInts(item.publicSignals)) transcript.addScalar(s);
+        }
+    }
+
+    const sG1 = G1.F.n8*2;
+    const sG2 = G2.F.n8*2;
+    const getPoints = (buff, sG, from, to) => {
+        const res = [];
+        for (let i=from; i<to; i++) res.push(buff.slice(i*sG, (i+1)*sG));
+        return res;
+    };
+    let v1 = getPoints(srs.h_alpha_powers, sG2, 0, m);
+    let v2 = getPoints(srs.h_beta_powers, sG2, 0, m);
+    let w1 = getPoints(srs.g_alpha_powers, sG1, m, 2*m);
+    let w2 = getPoints(srs.g_beta_powers, sG1, m, 2*m);
+
+    if (logger) logger.debug("Aggregation: commitments");
+    const [tAB, uAB, tC, uC] = await Promise.all([
+        pairingProduct(curve, [...A, ...w1], [...v1, ...B]),
+        pairingProduct(curve, [...A, ...w2], [...v2, ...B]),
+        pairingProduct(curve, C, v1),
+        pairingProduct(curve, C, v2),
+    ]);
+    for (const t of [tAB, uAB, tC, uC]) transcript.addGt(t);
+    const r = transcript.getChallenge();
+
+    // Rescale B and w so that the commitment to (A, B) does not change:
+    // e(w_i, B_i) = e(r^-i*w_i, r^i*B_i)
+    const rPows = powers(Fr, r, m);
+    const rInvPows = powers(Fr, Fr.inv(r), m);
+    B = B.map( (b, i) => G2.timesFr(b, rPows[i]) );
+    w1 = w1.map( (w, i) => G1.timesFr(w, rInvPows[i]) );
+    w2 = w2.map( (w, i) => G1.timesFr(w, rInvPows[i]) );
+
+    if (logger) logger.debug("Aggregation: inner products");
+    const zAB = await pairingProduct(curve, A, B);
+    const zC = await G1.multiExpAffine(toAffineBuff(G1, C), toScalarsBuff(Fr, rPows));
+    transcript.addGt(zAB);
+    transcript.addG1(zC);
+
+    let s = rPows;
+    const rounds = [];
+    const challenges = [];
+    const challengesInv = [];
+    for (let j=0; j<nRounds; j++) {
+        if (logger) logger.debug(`Aggregation: GIPA round ${j+1}/${nRounds}`);
+        const h = A.length / 2;
+        const L = (arr) => arr.slice(0, h);
+        const R = (arr) => arr.slice(h);
+
+        const [tABl, uABl, tABr, uABr, zABl, zABr, tCl, uCl, tCr, uCr, zCl, zCr] = await Promise.all([
+            pairingProduct(curve, [...R(A), ...R(w1)], [...L(v1), ...L(B)]),
+            pairingProduct(curve, [...R(A), ...R(w2)], [...L(v2), ...L(B)]),
+            pairingProduct(curve, [...L(A), ...L(w1)], [...R(v1), ...R(B)]),
+            pairingProduct(curve, [...L(A), ...L(w2)], [...R(v2), ...R(B)]),
+            pairingProduct(curve, R(A), L(B)),
+            pairingProduct(curve, L(A), R(B)),
+            pairingProduct(curve, R(C), L(v1)),
+            pairingProduct(curve, R(C), L(v2)),
+            pairingProduct(curve, L(C), R(v1)),
+            pairingProduct(curve, L(C), R(v2)),
+            G1.multiExpAffine(toAffineBuff(G1, R(C)), toScalarsBuff(Fr, L(s))),
+            G1.multiExpAffine(toAffineBuff(G1, L(C)), toScalarsBuff(Fr, R(s))),
+        ]);
+
+        for (const t of [tABl, uABl, tABr, uABr, zABl, zABr, tCl, uCl, tCr, uCr]) transcript.addGt(t);
+        transcript.addG1(zCl);
+        transcript.addG1(zCr);
+        const x = transcript.getChallenge();
+        const xInv = Fr.inv(x);
+        challenges.push(x);
+        challengesInv.push(xInv);
+
+        rounds.push({
+            t_ab_l: tABl, u_ab_l: uABl, t_ab_r: tABr, u_ab_r: uABr, z_ab_l: zABl, z_ab_r: zABr,
+            t_c_l: tCl, u_c_l: uCl, t_c_r: tCr, u_c_r: uCr, z_c_l: zCl, z_c_r: zCr
+        });
+
+        const foldG1 = (arr, k) => L(arr).map( (p, i) => G1.add(p, G1.timesFr(arr[h+i], k)) );
+        const foldG2 = (arr, k) => L(arr).map( (p, i) => G2.add(p, G2.timesFr(arr[h+i], k)) );
+        A = foldG1(A, x);
+        B = foldG2(B, xInv);
+        C = foldG1(C, x);
+        s = L(s).map( (e, i) => Fr.add(e, Fr.mul(s[h+i], xInv)) );
+        v1 = foldG2(v1, xInv);
+        v2 = foldG2(v2, xInv);
+        w1 = foldG1(w1, x);
+        w2 = foldG1(w2, x);
+    }
+
+    for (const p of [A[0], C[0], w1[0], w2[0]]) transcript.addG1(p);
+    for (const p of [B[0], v1[0], v2[0]]) transcript.addG2(p);
+    const z = transcript.getChallenge();
+
+    if (logger) logger.debug("Aggregation: KZG openings");
+    // v keys are h^fv(a), h^fv(b) with fv(X) = prod_j (1 + x_j^-1*X^(2^(l-1-j)))
+    const fv = foldingPolynomial(Fr, challengesInv);
+    const qv = toScalarsBuff(Fr, kzgQuotient(Fr, fv, z));
+
+    // w keys are g^fw(a), g^fw(b) with fw(X) = X^m * prod_j (1 + x_j*(X/r)^(2^(l-1-j)))
+    const rInv = Fr.inv(r);
+    const ys = challenges.map( (x, j) => Fr.mul(x, Fr.exp(rInv, 1 << (nRounds-1-j))) );
+    const fw = new Array(m).fill(Fr.zero).concat(foldingPolynomial(Fr, ys));
+    const qw = toScalarsBuff(Fr, kzgQuotient(Fr, fw, z));
+
+    const [kzgV1, kzgV2, kzgW1, kzgW2] = await Promise.all([
+        G2.multiExpAffine(srs.h_alpha_powers.slice(0, (m-1)*sG2), qv),
+        G2.multiExpAffine(srs.h_beta_powers.slice(0, (m-1)*sG2), qv),
+        G1.multiExpAffine(srs.g_alpha_powers.slice(0, (2*m-1)*sG1), qw),
+        G1.multiExpAffine(srs.g_beta_powers.slice(0, (2*m-1)*sG1), qw),
+    ]);
+
+    const g1 = (p) => G1.toObject(G1.toAffine(p));
+    const g2 = (p) => G2.toObject(G2.toAffine(p));
+    const gt = (a) => curve.Gt.toObject(a);
+
+    const aggProof = {
+        protocol: AGGREGATION_PROTOCOL,
+        curve: curve.name,
+        nProofs: nProofs,
+        com_ab: [gt(tAB), gt(uAB)],
+        com_c: [gt(tC), gt(uC)],
+        z_ab: gt(zAB),
+        z_c: g1(zC),
+        rounds: rounds.map( (rd) => ({
+            t_ab_l: gt(rd.t_ab_l), u_ab_l: gt(rd.u_ab_l),
+            t_ab_r: gt(rd.t_ab_r), u_ab_r: gt(rd.u_ab_r),
+            z_ab_l: gt(rd.z_ab_l), z_ab_r: gt(rd.z_ab_r),
+            t_c_l: gt(rd.t_c_l), u_c_l: gt(rd.u_c_l),
+            t_c_r: gt(rd.t_c_r), u_c_r: gt(rd.u_c_r),
+            z_c_l: g1(rd.z_c_l), z_c_r: g1(rd.z_c_r),
+        })),
+        final_a: g1(A[0]),
+        final_b: g2(B[0]),
+        final_c: g1(C[0]),
+        final_vkey: [g2(v1[0]), g2(v2[0])],
+        final_wkey: [g1(w1[0]), g1(w2[0])],
+        opening_v: [g2(kzgV1), g2(kzgV2)],
+        opening_w: [g1(kzgW1), g1(kzgW2)],
+    };
+
+    return stringifyBigInts(aggProof);
+}
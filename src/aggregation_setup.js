@@ -0,0 +1,157 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// SRS for the SnarkPack aggregation. It needs the powers of two independent
+// secrets a and b:
+//      g_alpha_powers: g^(a^i) for i < 2n      h_alpha_powers: h^(a^i) for i < n
+//      g_beta_powers:  g^(b^i) for i < 2n      h_beta_powers:  h^(b^i) for i < n
+// where n is the maximum number of proofs that can be aggregated. Points are
+// kept as affine LEM buffers, the format multiExpAffine takes.
+//
+// The verifier only needs srs.vk = {g_alpha, g_beta, h_alpha, h_beta}.
+
+import { readBinFile, startReadUniqueSection, endReadSection, readSection } from "./binfileutils/binfileutils.js";
+import { getCurveFromQ } from "./curves.js";
+import { log2 } from "./misc.js";
+import { AGGREGATION_PROTOCOL } from "./aggregation_utils.js";
+import { Scalar, utils } from "ffjavascript";
+const {stringifyBigInts} = utils;
+
+// Builds the SRS from two powers of tau files from independent ceremonies.
+// Only the tauG1 (2) and tauG2 (3) sections are used, so phase 2 does not
+// need to be prepared. Each ptau must have a power strictly greater than
+// log2(n).
+export async function setupFromPtau(ptauAlphaName, ptauBetaName, n, logger) {
+    checkSize(n);
+
+    const alpha = await readPtauPowers(ptauAlphaName, n, logger);
+    let beta;
+    try {
+        beta = await readPtauPowers(ptauBetaName, n, logger);
+
+        if (alpha.curve !== beta.curve) {
+            throw new Error("The two powers of tau files must be on the same curve");
+        }
+
+        // The SRS takes the powers as they are, so they must start at the
+        // generators for the verifier's pairings to hold.
+        const {G1, G2} = alpha.curve;
+        for (const [which, ptau] of [["first", alpha], ["second", beta]]) {
+            if (!G1.eq(G1.g, getPoint(G1, ptau.gPowers, 0))) {
+                throw new Error(`Invalid powers of tau: the first tauG1 point of the ${which} file must be the generator`);
+            }
+            if (!G2.eq(G2.g, getPoint(G2, ptau.hPowers, 0))) {
+                throw new Error(`Invalid powers of tau: the first tauG2 point of the ${which} file must be the generator`);
+            }
+        }
+
+        return buildSRS(alpha.curve, n, alpha.gPowers, alpha.hPowers, beta.gPowers, beta.hPowers);
+    } finally {
+        await alpha.curve.terminate();
+        if (beta) await beta.curve.terminate();
+    }
+}
+
+// Builds the SRS from random secrets that are known while it runs.
+// TESTING ONLY: whoever controls the process can forge aggregated proofs.
+export async function setupInsecure(curve, n, logger) {
+    checkSize(n);
+
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+    const Fr = curve.Fr;
+
+    if (logger) logger.warn("Insecure aggregation SRS: use it only for testing");
+
+    const pows = [];
+    for (const secret of [Fr.random(), Fr.random()]) {
+        const gPowers = new Uint8Array(2*n*G1.F.n8*2);
+        const hPowers = new Uint8Array(n*G2.F.n8*2);
+        let acc = Fr.one;
+        for (let i=0; i<2*n; i++) {
+            gPowers.set(G1.toAffine(G1.timesFr(G1.g, acc)), i*G1.F.n8*2);
+            if (i<n) hPowers.set(G2.toAffine(G2.timesFr(G2.g, acc)), i*G2.F.n8*2);
+            acc = Fr.mul(acc, secret);
+        }
+        pows.push({gPowers, hPowers});
+    }
+
+    return buildSRS(curve, n, pows[0].gPowers, pows[0].hPowers, pows[1].gPowers, pows[1].hPowers);
+}
+
+function checkSize(n) {
+    if ((n < 2) || (n & (n-1))) {
+        throw new Error(`The number of proofs of the SRS must be a power of 2 greater than 1: ${n}`);
+    }
+}
+
+function getPoint(G, buff, i) {
+    const sG = G.F.n8*2;
+    return buff.slice(i*sG, (i+1)*sG);
+}
+
+function buildSRS(curve, n, gAlphaPowers, hAlphaPowers, gBetaPowers, hBetaPowers) {
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+
+    return {
+        protocol: AGGREGATION_PROTOCOL,
+        curve: curve.name,
+        n: n,
+        g_alpha_powers: gAlphaPowers,
+        g_beta_powers: gBetaPowers,
+        h_alpha_powers: hAlphaPowers,
+        h_beta_powers: hBetaPowers,
+        vk: stringifyBigInts({
+            protocol: AGGREGATION_PROTOCOL,
+            curve: curve.name,
+            g_alpha: G1.toObject(getPoint(G1, gAlphaPowers, 1)),
+            g_beta: G1.toObject(getPoint(G1, gBetaPowers, 1)),
+            h_alpha: G2.toObject(getPoint(G2, hAlphaPowers, 1)),
+            h_beta: G2.toObject(getPoint(G2, hBetaPowers, 1)),
+        })
+    };
+}
+
+async function readPtauPowers(ptauName, n, logger) {
+    const {fd, sections} = await readBinFile(ptauName, "ptau", 1, 1<<22, 1<<24);
+
+    await startReadUniqueSection(fd, sections, 1);
+    const n8 = await fd.readULE32();
+    const q = Scalar.fromRprLE(await fd.read(n8), 0, n8);
+    const power = await fd.readULE32();
+    await fd.readULE32(); // ceremonyPower
+    await endReadSection(fd);
+
+    const curve = await getCurveFromQ(q);
+
+    if (power <= log2(n)) {
+        await fd.close();
+        await curve.terminate();
+        throw new Error(`Powers of tau too small. Power: ${power}, aggregating ${n} proofs needs at least ${log2(n)+1}`);
+    }
+
+    if (logger) logger.debug(`Reading ${2*n} tauG1 and ${n} tauG2 points`);
+    const gPowers = await readSection(fd, sections, 2, 0, 2*n*curve.G1.F.n8*2);
+    const hPowers = await readSection(fd, sections, 3, 0, n*curve.G2.F.n8*2);
+
+    await fd.close();
+
+    return {curve, gPowers, hPowers};
+}
@@ -0,0 +1,206 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Helpers shared by the SnarkPack aggregation prover and verifier.
+// https://eprint.iacr.org/2021/529.pdf
+
+import { Scalar } from "ffjavascript";
+import jsSha3 from "js-sha3";
+const { keccak256 } = jsSha3;
+
+export const AGGREGATION_PROTOCOL = "snarkpack";
+
+// Fiat-Shamir transcript. Every challenge is the keccak256 hash of the
+// previous challenge followed by the elements added since then.
+export function createTranscript(curve) {
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+    const Gt = curve.Gt;
+    const Fr = curve.Fr;
+
+    let chunks = [new TextEncoder().encode(AGGREGATION_PROTOCOL)];
+
+    return {
+        addG1(p) {
+            const buff = new Uint8Array(G1.F.n8*2);
+            G1.toRprUncompressed(buff, 0, p);
+            chunks.push(buff);
+        },
+        addG2(p) {
+            const buff = new Uint8Array(G2.F.n8*2);
+            G2.toRprUncompressed(buff, 0, p);
+            chunks.push(buff);
+        },
+        addGt(a) {
+            chunks.push(Gt.fromMontgomery(a));
+        },
+        addFr(a) {
+            chunks.push(Fr.fromMontgomery(a));
+        },
+        addScalar(s) {
+            const buff = new Uint8Array(Fr.n8);
+            Scalar.toRprLE(buff, 0, s, Fr.n8);
+            chunks.push(buff);
+        },
+        getChallenge() {
+            let challenge;
+            do {
+                const len = chunks.reduce((acc, c) => acc + c.byteLength, 0);
+                const buff = new Uint8Array(len);
+                let o = 0;
+                for (const c of chunks) {
+                    buff.set(c, o);
+                    o += c.byteLength;
+                }
+                const hash = new Uint8Array(keccak256.arrayBuffer(buff));
+                challenge = Fr.e(Scalar.fromRprBE(hash, 0, 32));
+                chunks = [hash];
+            } while (Fr.isZero(challenge));
+            return challenge;
+        }
+    };
+}
+
+// Computes prod_i e(g1Points[i], g2Points[i]) splitting the Miller loops
+// among the curve workers and applying a single final exponentiation.
+export async function pairingProduct(curve, g1Points, g2Points) {
+    if (g1Points.length != g2Points.length) throw new Error("pairingProduct: length mismatch");
+
+    const n = g1Points.length;
+    if (n == 0) return curve.Gt.one;
+
+    const sG1 = curve.G1.F.n8*3;
+    const sG2 = curve.G2.F.n8*3;
+    const chunkSize = Math.ceil(n / curve.tm.concurrency);
+
+    const promises = [];
+    for (let i=0; i<n; i+= chunkSize) {
+        const nPairs = Math.min(n - i, chunkSize);
+
+        const buffG1 = new Uint8Array(nPairs*sG1);
+        const buffG2 = new Uint8Array(nPairs*sG2);
+        for (let j=0; j<nPairs; j++) {
+            buffG1.set(curve.G1.toJacobian(g1Points[i+j]), j*sG1);
+            buffG2.set(curve.G2.toJacobian(g2Points[i+j]), j*sG2);
+        }
+
+        const task = [];
+        task.push({cmd: "ALLOCSET", var: 0, buff: buffG1});
+        task.push({cmd: "ALLOCSET", var: 1, buff: buffG2});
+        task.push({cmd: "ALLOC", var: 2, len: curve.prePSize});
+        task.push({cmd: "ALLOC", var: 3, len: curve.preQSize});
+        task.push({cmd: "ALLOC", var: 4, len: curve.Gt.n8});
+        task.push({cmd: "ALLOC", var: 5, len: curve.Gt.n8});
+        task.push({cmd: "CALL", fnName: "ftm_one", params: [{var: 5}]});
+        for (let j=0; j<nPairs; j++) {
+            task.push({cmd: "CALL", fnName: curve.name + "_prepareG1", params: [
+                {var: 0, offset: j*sG1},
+                {var: 2}
+            ]});
+            task.push({cmd: "CALL", fnName: curve.name + "_prepareG2", params: [
+                {var: 1, offset: j*sG2},
+                {var: 3}
+            ]});
+            task.push({cmd: "CALL", fnName: curve.name + "_millerLoop", params: [
+                {var: 2},
+                {var: 3},
+                {var: 4}
+            ]});
+            task.push({cmd: "CALL", fnName: "ftm_mul", params: [
+                {var: 5},
+                {var: 4},
+                {var: 5}
+            ]});
+        }
+        task.push({cmd: "GET", out: 0, var: 5, len: curve.Gt.n8});
+        promises.push(curve.tm.queueAction(task));
+    }
+
+    const result = await Promise.all(promises);
+
+    let acc = curve.Gt.one;
+    for (let i=0; i<result.length; i++) {
+        acc = curve.Gt.mul(acc, result[i][0]);
+    }
+
+    return curve.finalExponentiation(acc);
+}
+
+// Returns [1, x, x^2, ..., x^(n-1)] in Fr
+export function powers(Fr, x, n) {
+    const res = new Array(n);
+    let acc = Fr.one;
+    for (let i=0; i<n; i++) {
+        res[i] = acc;
+        acc = Fr.mul(acc, x);
+    }
+    return res;
+}
+
+// Coefficients of prod_j (1 + ys[j]*X^(2^(l-1-j))) where l = ys.length.
+// This is the polynomial the GIPA rounds apply to a commitment key when the
+// right half is folded into the left half with factor ys[j] in round j.
+export function foldingPolynomial(Fr, ys) {
+    let coefs = [Fr.one];
+    for (let j=ys.length-1; j>=0; j--) {
+        coefs = coefs.concat(coefs.map( (c) => Fr.mul(c, ys[j]) ));
+    }
+    return coefs;
+}
+
+// Evaluates prod_j (1 + ys[j]*z^(2^(l-1-j))) without expanding it
+export function evalFoldingPolynomial(Fr, ys, z) {
+    let res = Fr.one;
+    let zPow = z;
+    for (let j=ys.length-1; j>=0; j--) {
+        res = Fr.mul(res, Fr.add(Fr.one, Fr.mul(ys[j], zPow)));
+        zPow = Fr.square(zPow);
+    }
+    return res;
+}
+
+// Quotient of (f(X) - f(z)) / (X - z) where f is given by its coefficients
+export function kzgQuotient(Fr, coefs, z) {
+    const q = new Array(Math.max(coefs.length-1, 0));
+    let acc = Fr.zero;
+    for (let i=coefs.length-1; i>0; i--) {
+        acc = Fr.add(coefs[i], Fr.mul(acc, z));
+        q[i-1] = acc;
+    }
+    return q;
+}
+
+// Packs Fr elements as the little-endian scalars multiExpAffine expects
+export function toScalarsBuff(Fr, arr) {
+    const buff = new Uint8Array(arr.length*Fr.n8);
+    for (let i=0; i<arr.length; i++) {
+        Fr.toRprLE(buff, i*Fr.n8, arr[i]);
+    }
+    return buff;
+}
+
+// Packs a list of points in the affine form multiExpAffine expects
+export function toAffineBuff(G, arr) {
+    const sG = G.F.n8*2;
+    const buff = new Uint8Array(arr.length*sG);
+    for (let i=0; i<arr.length; i++) {
+        buff.set(G.toAffine(arr[i]), i*sG);
+    }
+    return buff;
+}
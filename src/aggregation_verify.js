@@ -0,0 +1,241 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Verifier of the SnarkPack aggregated proofs built by aggregation_prove.js.
+// It replays the transcript, folds the commitments and inner products with
+// the GIPA challenges, checks them against the final folded values and the
+// KZG openings of the final keys, and finally checks the batched groth16
+// equation:
+//      z_ab = e(sum_i r^i*alpha, beta) * e(sum_i r^i*cpub_i, gamma) * e(z_c, delta)
+
+import { utils } from "ffjavascript";
+import { getCurveFromName } from "./curves.js";
+import { log2 } from "./misc.js";
+import { publicInputsAreValid } from "./groth16_verify.js";
+import {
+    AGGREGATION_PROTOCOL,
+    createTranscript,
+    powers,
+    evalFoldingPolynomial,
+    toScalarsBuff
+} from "./aggregation_utils.js";
+const {unstringifyBigInts} = utils;
+
+export default async function aggregationVerify(_srsVk, _vk_verifier, _publicSignalsList, _aggProof, logger) {
+    const srsVk = unstringifyBigInts(_srsVk);
+    const vk_verifier = unstringifyBigInts(_vk_verifier);
+    const publicSignalsList = unstringifyBigInts(_publicSignalsList);
+    const aggProof = unstringifyBigInts(_aggProof);
+
+    if (aggProof.protocol != AGGREGATION_PROTOCOL) {
+        if (logger) logger.error(`Invalid protocol: ${aggProof.protocol}`);
+        return false;
+    }
+
+    if ((aggProof.curve != vk_verifier.curve) || (srsVk.curve != vk_verifier.curve)) {
+        if (logger) logger.error("The aggregated proof, the SRS and the verification key must be on the same curve");
+        return false;
+    }
+
+    const curve = await getCurveFromName(vk_verifier.curve);
+    try {
+        return await verifyAggregation(curve, srsVk, vk_verifier, publicSignalsList, aggProof, logger);
+    } finally {
+        await curve.terminate();
+    }
+}
+
+async function verifyAggregation(curve, srsVk, vk_verifier, publicSignalsList, aggProof, logger) {
+    const Fr = curve.Fr;
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+    const Gt = curve.Gt;
+
+    const nProofs = aggProof.nProofs;
+    if (publicSignalsList.length != nProofs) {
+        if (logger) logger.error(`Invalid number of public signals sets. Expected: ${nProofs}, got: ${publicSignalsList.length}`);
+        return false;
+    }
+
+    let m = 2;
+    while (m < nProofs) m *= 2;
+    const nRounds = log2(m);
+    if (aggProof.rounds.length != nRounds) {
+        if (logger) logger.error(`Invalid number of rounds. Expected: ${nRounds}, got: ${aggProof.rounds.length}`);
+        return false;
+    }
+
+    for (let i=0; i<nProofs; i++) {
+        if (publicSignalsList[i].length != vk_verifier.IC.length - 1) {
+            if (logger) logger.error(`Invalid number of public inputs in proof ${i}`);
+            return false;
+        }
+        if (!publicInputsAreValid(curve, publicSignalsList[i])) {
+            if (logger) logger.error(`Public inputs of proof ${i} are not valid.`);
+            return false;
+        }
+    }
+
+    const g1 = (o) => G1.fromObject(o);
+    const g2 = (o) => G2.fromObject(o);
+    const gt = (o) => Gt.fromObject(o);
+
+    const g1Points = [aggProof.z_c, aggProof.final_a, aggProof.final_c, ...aggProof.final_wkey, ...aggProof.opening_w];
+    const g2Points = [aggProof.final_b, ...aggProof.final_vkey, ...aggProof.opening_v];
+    for (const rd of aggProof.rounds) g1Points.push(rd.z_c_l, rd.z_c_r);
+    if (!g1Points.every( (p) => G1.isValid(g1(p)) ) || !g2Points.every( (p) => G2.isValid(g2(p)) )) {
+        if (logger) logger.error("Aggregated proof points are not valid.");
+        return false;
+    }
+
+    const transcript = createTranscript(curve);
+    transcript.addScalar(nProofs);
+    for (const publicSignals of publicSignalsList) {
+        for (const s of publicSignals) transcript.addScalar(s);
+    }
+
+    let tAB = gt(aggProof.com_ab[0]);
+    let uAB = gt(aggProof.com_ab[1]);
+    let tC = gt(aggProof.com_c[0]);
+    let uC = gt(aggProof.com_c[1]);
+    for (const t of [tAB, uAB, tC, uC]) transcript.addGt(t);
+    const r = transcript.getChallenge();
+
+    const zAB = gt(aggProof.z_ab);
+    const zC = g1(aggProof.z_c);
+    transcript.addGt(zAB);
+    transcript.addG1(zC);
+
+    // Fold the commitments and the inner products with the round challenges:
+    //      com' = com_l^x * com * com_r^(x^-1)
+    let zABf = zAB;
+    let zCf = zC;
+    const challenges = [];
+    const challengesInv = [];
+    for (const rd of aggProof.rounds) {
+        const gts = ["t_ab_l", "u_ab_l", "t_ab_r", "u_ab_r", "z_ab_l", "z_ab_r", "t_c_l", "u_c_l", "t_c_r", "u_c_r"].map( (k) => gt(rd[k]) );
+        const [tABl, uABl, tABr, uABr, zABl, zABr, tCl, uCl, tCr, uCr] = gts;
+        const zCl = g1(rd.z_c_l);
+        const zCr = g1(rd.z_c_r);
+
+        for (const t of gts) transcript.addGt(t);
+        transcript.addG1(zCl);
+        transcript.addG1(zCr);
+        const x = transcript.getChallenge();
+        const xInv = Fr.inv(x);
+        challenges.push(x);
+        challengesInv.push(xInv);
+
+        const e = Fr.toObject(x);
+        const eInv = Fr.toObject(xInv);
+        const fold = (acc, l, r) => Gt.mul(Gt.mul(Gt.exp(l, e), acc), Gt.exp(r, eInv));
+        tAB = fold(tAB, tABl, tABr);
+        uAB = fold(uAB, uABl, uABr);
+        zABf = fold(zABf, zABl, zABr);
+        tC = fold(tC, tCl, tCr);
+        uC = fold(uC, uCl, uCr);
+        zCf = G1.add(G1.add(G1.timesFr(zCl, x), zCf), G1.timesFr(zCr, xInv));
+    }
+
+    const finalA = g1(aggProof.final_a);
+    const finalB = g2(aggProof.final_b);
+    const finalC = g1(aggProof.final_c);
+    const [v1, v2] = aggProof.final_vkey.map(g2);
+    const [w1, w2] = aggProof.final_wkey.map(g1);
+
+    for (const p of [finalA, finalC, w1, w2]) transcript.addG1(p);
+    for (const p of [finalB, v1, v2]) transcript.addG2(p);
+    const z = transcript.getChallenge();
+
+    if (logger) logger.debug("Aggregation: checking the final GIPA values");
+    const gipaOk =
+        await curve.pairingEq(finalA, v1, w1, finalB, tAB) &&
+        await curve.pairingEq(finalA, v2, w2, finalB, uAB) &&
+        await curve.pairingEq(finalA, finalB, zABf) &&
+        await curve.pairingEq(finalC, v1, tC) &&
+        await curve.pairingEq(finalC, v2, uC) &&
+        G1.eq(zCf, G1.timesFr(finalC, evalFoldingPolynomial(Fr, challengesInv, r)));
+    if (!gipaOk) {
+        if (logger) logger.error("Invalid inner product arguments");
+        return false;
+    }
+
+    if (logger) logger.debug("Aggregation: checking the KZG openings of the final keys");
+    const rInv = Fr.inv(r);
+    const ys = challenges.map( (x, j) => Fr.mul(x, Fr.exp(rInv, 1 << (nRounds-1-j))) );
+    const fv = evalFoldingPolynomial(Fr, challengesInv, z);
+    const fw = Fr.mul(Fr.exp(z, m), evalFoldingPolynomial(Fr, ys, z));
+
+    const gAlpha = g1(srsVk.g_alpha);
+    const gBeta = g1(srsVk.g_beta);
+    const hAlpha = g2(srsVk.h_alpha);
+    const hBeta = g2(srsVk.h_beta);
+    const [openV1, openV2] = aggProof.opening_v.map(g2);
+    const [openW1, openW2] = aggProof.opening_w.map(g1);
+    const zG1 = G1.timesFr(G1.g, z);
+    const zG2 = G2.timesFr(G2.g, z);
+
+    // v = h^fv(a)  <=>  e(g^a - z*g, opening) = e(g, v - fv(z)*h)
+    // w = g^fw(a)  <=>  e(opening, h^a - z*h) = e(w - fw(z)*g, h)
+    const kzgOk =
+        await curve.pairingEq(G1.sub(gAlpha, zG1), openV1, G1.neg(G1.g), G2.sub(v1, G2.timesFr(G2.g, fv))) &&
+        await curve.pairingEq(G1.sub(gBeta, zG1), openV2, G1.neg(G1.g), G2.sub(v2, G2.timesFr(G2.g, fv))) &&
+        await curve.pairingEq(openW1, G2.sub(hAlpha, zG2), G1.neg(G1.sub(w1, G1.timesFr(G1.g, fw))), G2.g) &&
+        await curve.pairingEq(openW2, G2.sub(hBeta, zG2), G1.neg(G1.sub(w2, G1.timesFr(G1.g, fw))), G2.g);
+    if (!kzgOk) {
+        if (logger) logger.error("Invalid commitment key openings");
+        return false;
+    }
+
+    if (logger) logger.debug("Aggregation: checking the groth16 equation");
+    // The prover pads the batch repeating the last proof
+    const rPows = powers(Fr, r, m);
+    let sumR = Fr.zero;
+    const w = new Array(vk_verifier.IC.length - 1).fill(Fr.zero);
+    for (let i=0; i<m; i++) {
+        sumR = Fr.add(sumR, rPows[i]);
+        const publicSignals = publicSignalsList[Math.min(i, nProofs-1)];
+        for (let k=0; k<publicSignals.length; k++) {
+            w[k] = Fr.add(w[k], Fr.mul(rPows[i], Fr.e(publicSignals[k])));
+        }
+    }
+
+    const IC = new Uint8Array(G1.F.n8*2 * w.length);
+    for (let k=0; k<w.length; k++) {
+        IC.set(g1(vk_verifier.IC[k+1]), k*G1.F.n8*2);
+    }
+    let cpub = await G1.multiExpAffine(IC, toScalarsBuff(Fr, w));
+    cpub = G1.add(cpub, G1.timesFr(g1(vk_verifier.IC[0]), sumR));
+
+    const res = await curve.pairingEq(
+        G1.timesFr(g1(vk_verifier.vk_alpha_1), sumR), g2(vk_verifier.vk_beta_2),
+        cpub, g2(vk_verifier.vk_gamma_2),
+        zC, g2(vk_verifier.vk_delta_2),
+
+        zAB
+    );
+
+    if (!res) {
+        if (logger) logger.error("Invalid aggregated proof");
+        return false;
+    }
+
+    if (logger) logger.info("OK!");
+    return true;
+}
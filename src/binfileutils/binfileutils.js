@@ -4,7 +4,7 @@ import {fastFileCreateOverride, fastFileReadExisting} from "../fastfile/fastfile
 
 export async function readBinFile(fileName, type, maxVersion, cacheSize, pageSize) {
 
-    const fd = await fastFileReadExisting(fileName.data || fileName, cacheSize, pageSize);
+    const fd = await fastFileReadExisting(fileName, cacheSize, pageSize);
 
     const b = await fd.read(4);
     let readedType = "";
@@ -134,6 +134,16 @@ export async function readSection(fd, sections, idSection, offset, length) {
     return buff;
 }
 
+// Lets files that support it (remote ones) download the sections in the
+// background, one after the other, before they are read.
+export function prefetchSections(fd, sections, idSections) {
+    if (typeof fd.prefetch !== "function") return;
+    for (const idSection of idSections) {
+        if (!sections[idSection]) continue;
+        fd.prefetch(sections[idSection][0].p, sections[idSection][0].size);
+    }
+}
+
 export async function sectionIsEqual(fd1, sections1, fd2, sections2, idSection) {
     const MAX_BUFF_SIZE = fd1.pageSize * 16;
     await startReadUniqueSection(fd1, sections1, idSection);
@@ -0,0 +1,235 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Signed circuit bundles. A bundle is a directory (or the same directory
+// served over http) with the circuit wasm, the groth16 zkey, the verification
+// key and:
+//
+//   manifest.json      {format: "snarkjs-bundle", version: 1, protocol: "groth16",
+//                       files: {wasm, zkey, vkey: {name, digest}}}
+//   manifest.json.sig  Ed25519 signature of the bytes of manifest.json, in hex
+//
+// The digests are the ones of integrity.js, so the manifest pins every file
+// and the signature over the manifest is enough to trust the whole bundle,
+// wherever it was downloaded from.
+
+import { ed25519 } from "@noble/curves/ed25519";
+import { fastFileReadExisting } from "./fastfile/fastfile.js";
+import { fileDigest, checkBufferDigest, parseDigest } from "./integrity.js";
+import { hex2ByteArray, SignatureError } from "./misc.js";
+import groth16FullProve from "./groth16_fullprove.js";
+import groth16Prove from "./groth16_prove.js";
+import groth16Verify from "./groth16_verify.js";
+import wtnsCalculate from "./wtns_calculate.js";
+
+export const MANIFEST_NAME = "manifest.json";
+export const SIGNATURE_NAME = "manifest.json.sig";
+
+const FORMAT = "snarkjs-bundle";
+const VERSION = 1;
+
+const FILES = {
+    wasm: {defaultName: "circuit.wasm"},
+    zkey: {defaultName: "circuit_final.zkey"},
+    vkey: {defaultName: "verification_key.json"},
+};
+
+// Returns a new release key pair as hex strings
+export function generateKey() {
+    const privateKey = ed25519.utils.randomPrivateKey();
+    return {
+        privateKey: toHex(privateKey),
+        publicKey: toHex(ed25519.getPublicKey(privateKey)),
+    };
+}
+
+export function getPublicKey(privateKey) {
+    return toHex(ed25519.getPublicKey(toKey(privateKey, "private")));
+}
+
+// Builds the manifest of the bundle made of files.wasm, files.zkey and
+// files.vkey (anything fastfile can read). The digests of the wasm and the
+// zkey are computed over their decompressed content, as the prover checks it.
+// The names of the files in the bundle are taken from the given file names,
+// or from options.names.
+export async function createManifest(files, logger, options) {
+    const names = (options && options.names) || {};
+    const manifest = {
+        format: FORMAT,
+        version: VERSION,
+        protocol: "groth16",
+        files: {}
+    };
+
+    for (const id of Object.keys(FILES)) {
+        if (!files[id]) throw new Error(`Missing bundle file: ${id}`);
+
+        const name = names[id] || ((typeof files[id] === "string") ? baseName(files[id]) : FILES[id].defaultName);
+        checkName(name);
+
+        const fd = await fastFileReadExisting(files[id]);
+        const digest = await fileDigest(fd, options && options.algorithm);
+        await fd.close();
+
+        if (logger) logger.debug(`Bundle ${id}: ${name} ${digest}`);
+        manifest.files[id] = {name, digest};
+    }
+
+    return manifest;
+}
+
+// Serializes and signs manifest. Returns the content of manifest.json and of
+// manifest.json.sig.
+export function signManifest(manifest, privateKey) {
+    checkManifest(manifest);
+
+    const manifestJson = JSON.stringify(manifest, null, 1);
+    const signature = ed25519.sign(new TextEncoder().encode(manifestJson), toKey(privateKey, "private"));
+
+    return {
+        manifest: manifestJson,
+        signature: toHex(signature),
+    };
+}
+
+// Checks the signature of the manifest (its bytes, or its text) and returns
+// it parsed. Throws a SignatureError if it is not signed by publicKey.
+export function verifyManifest(manifestBytes, signature, publicKey) {
+    if (typeof manifestBytes === "string") manifestBytes = new TextEncoder().encode(manifestBytes);
+    if (typeof signature === "string") signature = signature.trim();
+
+    publicKey = toKey(publicKey, "public");
+
+    let valid;
+    try {
+        valid = ed25519.verify(toBytes(signature, 64, "signature"), manifestBytes, publicKey);
+    } catch (err) {
+        valid = false;
+    }
+    if (!valid) throw new SignatureError("Invalid bundle signature: the manifest is not signed by the release key");
+
+    const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+    checkManifest(manifest);
+    return manifest;
+}
+
+// Loads the bundle at location (a directory or an http(s) URL) signed by
+// publicKey. Nothing in the bundle is used before the signature of its
+// manifest is checked. The verification key is read and checked here; the
+// wasm and the zkey are handed to wtnsCalculate and groth16Prove pinned to the
+// digests of the manifest, so they are checked as they are read.
+export async function load(location, publicKey, logger) {
+    const manifestBytes = await readAll(resolve(location, MANIFEST_NAME));
+    const signature = new TextDecoder().decode(await readAll(resolve(location, SIGNATURE_NAME)));
+
+    const manifest = verifyManifest(manifestBytes, signature, publicKey);
+    if (logger) logger.debug(`Bundle manifest of ${location} verified`);
+
+    const files = manifest.files;
+
+    const vkeyBuff = await readAll(resolve(location, files.vkey.name));
+    checkBufferDigest("verification key", files.vkey.digest, vkeyBuff);
+    const vkey = JSON.parse(new TextDecoder().decode(vkeyBuff));
+
+    const wasm = resolve(location, files.wasm.name);
+    const zkey = resolve(location, files.zkey.name);
+    const wasmDigest = files.wasm.digest;
+    const zkeyDigest = files.zkey.digest;
+
+    return {
+        manifest,
+        wasm,
+        zkey,
+        vkey,
+        wasmDigest,
+        zkeyDigest,
+
+        async calculateWitness(input, wtnsFileName) {
+            return await wtnsCalculate(input, wasm, wtnsFileName, {wasmDigest});
+        },
+
+        async prove(wtnsFileName, logger, options) {
+            return await groth16Prove(zkey, wtnsFileName, logger, {...options, zkeyDigest});
+        },
+
+        async fullProve(input, logger, options) {
+            return await groth16FullProve(input, wasm, zkey, logger, {...options, wasmDigest, zkeyDigest});
+        },
+
+        async verify(publicSignals, proof, logger) {
+            return await groth16Verify(vkey, publicSignals, proof, logger);
+        },
+    };
+}
+
+function checkManifest(manifest) {
+    if ((!manifest) || (manifest.format !== FORMAT)) throw new Error("Invalid bundle manifest");
+    if (manifest.version !== VERSION) throw new Error(`Unsupported bundle version: ${manifest.version}`);
+    if (manifest.protocol !== "groth16") throw new Error(`Unsupported bundle protocol: ${manifest.protocol}`);
+
+    for (const id of Object.keys(FILES)) {
+        const file = manifest.files && manifest.files[id];
+        if (!file) throw new Error(`Invalid bundle manifest: missing ${id}`);
+        checkName(file.name);
+        parseDigest(file.digest);
+    }
+}
+
+// Files are referenced by plain names, so a manifest cannot point outside of
+// its bundle
+function checkName(name) {
+    if ((typeof name !== "string") || (!/^[A-Za-z0-9_][A-Za-z0-9_.-]*$/.test(name))) {
+        throw new Error(`Invalid bundle file name: ${name}`);
+    }
+}
+
+function baseName(fileName) {
+    return fileName.split(/[?#]/)[0].split(/[\\/]/).pop();
+}
+
+function resolve(location, name) {
+    if (/^https?:\/\//.test(location)) {
+        return new URL(name, location.endsWith("/") ? location : location + "/").href;
+    }
+    return location.replace(/[\\/]+$/, "") + "/" + name;
+}
+
+async function readAll(fileName) {
+    const fd = await fastFileReadExisting(fileName);
+    const buff = await fd.read(fd.totalSize, 0);
+    await fd.close();
+    return buff;
+}
+
+function toKey(key, kind) {
+    return toBytes(key, 32, `${kind} key`);
+}
+
+function toBytes(v, len, what) {
+    if (typeof v === "string") {
+        if (!new RegExp(`^(0x)?[0-9a-fA-F]{${len*2}}$`).test(v.trim())) throw new Error(`Invalid ${what}`);
+        v = hex2ByteArray(v.trim());
+    }
+    if ((!(v instanceof Uint8Array)) || (v.byteLength != len)) throw new Error(`Invalid ${what}`);
+    return v;
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
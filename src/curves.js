@@ -1,16 +1,291 @@
 import { Scalar, buildBn128, buildBls12381} from "ffjavascript";
+import os from "os";
 
 const bls12381q = Scalar.e("1a0111ea397fe69a4b1ba7b6434bacd764774b84f38512bf6730d2a0f6b0f6241eabfffeb153ffffb9feffffffffaaab", 16);
 const bn128q = Scalar.e("21888242871839275222246405745257275088696311157297823662689037894645226208583");
 
-export async function getCurveFromQ(q) {
-    let curve;
-    if (Scalar.eq(q, bn128q)) {
-        curve = await buildBn128();
-    } else if (Scalar.eq(q, bls12381q)) {
-        curve = await buildBls12381();
+// Curves are built once per field and worker configuration, and shared:
+// building one compiles its wasm and starts a worker pool. Every
+// getCurveFromQ/getCurveFromName takes a reference to the shared instance, and
+// curve.terminate() gives it back. Once the last reference is given back, the
+// instance is kept idleTimeout ms for the next requests (groth16.verify and
+// the others take and give back one per call) and then shut down, unless
+// terminate() below shuts it down before. While they run, workers keep the
+// process alive.
+const registry = new Map();
+
+// Time given to a worker pool to start before falling back to a single thread
+const DEFAULT_WORKERS_TIMEOUT = 30000;
+
+// Time a curve is kept after its last reference is given back
+const DEFAULT_IDLE_TIMEOUT = 1000;
+
+async function acquireCurve(curveDef, options) {
+    const singleThread = !!(options && options.singleThread);
+    const maxWorkers = singleThread ? undefined : (options && options.maxWorkers);
+    if ((typeof maxWorkers !== "undefined") && ((!Number.isInteger(maxWorkers)) || (maxWorkers < 1))) {
+        throw new Error(`Invalid maxWorkers: ${maxWorkers}`);
+    }
+
+    const key = curveDef.names[0] + (singleThread ? "/single" : (maxWorkers ? `/${maxWorkers}` : ""));
+
+    let entry = registry.get(key);
+    // An idle curve of a definition that was replaced is not reused
+    if (entry && (entry.refs == 0) && (entry.curveDef !== curveDef)) {
+        await shutDown(entry);
+        entry = registry.get(key);
+    }
+    if (!entry) {
+        const idleTimeout = (options && (typeof options.idleTimeout !== "undefined")) ? options.idleTimeout : DEFAULT_IDLE_TIMEOUT;
+        entry = {key, curveDef, refs: 0, idleTimeout, idleTimer: null};
+        const workersTimeout = (options && options.workersTimeout) || DEFAULT_WORKERS_TIMEOUT;
+        entry.promise = buildCurve(curveDef, singleThread, maxWorkers, workersTimeout).then( (curve) => {
+            entry.terminatePool = curve.terminate.bind(curve);
+            curve.terminate = () => releaseCurve(entry);
+            return curve;
+        });
+        registry.set(key, entry);
+    }
+    if (entry.idleTimer) {
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+    }
+    entry.refs++;
+
+    try {
+        return await entry.promise;
+    } catch (err) {
+        if (registry.get(key) === entry) registry.delete(key);
+        throw err;
+    }
+}
+
+async function releaseCurve(entry) {
+    if (entry.refs == 0) return;
+    entry.refs--;
+    if (entry.refs > 0) return;
+
+    if (entry.idleTimeout > 0) {
+        entry.idleTimer = setTimeout(() => shutDown(entry), entry.idleTimeout);
+    } else {
+        await shutDown(entry);
+    }
+}
+
+async function shutDown(entry) {
+    if (entry.idleTimer) {
+        clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+    }
+    if (registry.get(entry.key) === entry) registry.delete(entry.key);
+    await entry.terminatePool();
+}
+
+// Falls back to a single thread when the workers cannot be started (no Worker
+// support, blocked by a Content Security Policy...) or do not start within
+// workersTimeout ms. A pool that starts after that is terminated.
+async function buildCurve(curveDef, singleThread, maxWorkers, workersTimeout) {
+    if ((!singleThread) && process.browser && (typeof globalThis.Worker === "undefined")) {
+        singleThread = true;
+    }
+    if (singleThread) return await curveDef.build(true);
+
+    try {
+        const build = buildWithCores(() => curveDef.build(false), maxWorkers);
+        return await withTimeout(build, workersTimeout, (curve) => curve.terminate());
+    } catch (err) {
+        return await curveDef.build(true);
+    }
+}
+
+// Rejects when promise is not settled within ms. Its late result goes to onLate.
+function withTimeout(promise, ms, onLate) {
+    let timer;
+    let expired = false;
+    const timeout = new Promise( (resolve, reject) => {
+        timer = setTimeout( () => {
+            expired = true;
+            reject(new Error(`Not done after ${ms}ms`));
+        }, ms);
+    });
+    promise.then( (res) => {
+        if (expired) onLate(res);
+    }, () => {});
+    return Promise.race([promise, timeout]).finally( () => clearTimeout(timer) );
+}
+
+// ffjavascript keeps its multithreaded curve in a global and returns it from
+// the next builds, so it is cleared to get a new curve for each configuration.
+function ffjavascriptBuilder(build, globalName) {
+    return async (singleThread) => {
+        if (singleThread) return await build(true);
+
+        const saved = globalThis[globalName];
+        globalThis[globalName] = null;
+        try {
+            return await build(false);
+        } finally {
+            globalThis[globalName] = saved;
+        }
+    };
+}
+
+// ffjavascript curves have no parameter for the size of their worker pool:
+// they start one worker per core, as given by navigator.hardwareConcurrency
+// or, without a navigator, os.cpus(). So maxWorkers is passed in by making
+// them report at most maxWorkers cores until the build reads them.
+// Multithreaded builds take turns until then, so that none of them reads the
+// cores reported to another.
+let coresLock = Promise.resolve();
+
+async function buildWithCores(build, maxWorkers) {
+    const previous = coresLock;
+    let unlock;
+    coresLock = new Promise( (resolve) => { unlock = resolve; } );
+    await previous;
+
+    let restore = null;
+    const done = () => {
+        if (!restore) return;
+        restore();
+        restore = null;
+        unlock();
+    };
+    const nCores = countCores();
+    // Both reads of ffjavascript happen in the same tick
+    restore = reportCores(maxWorkers ? Math.min(maxWorkers, nCores) : nCores, () => Promise.resolve().then(done));
+    try {
+        return await build();
+    } finally {
+        done();
+    }
+}
+
+// Cores as ffjavascript counts them
+function countCores() {
+    const nav = globalThis.navigator;
+    if ((typeof nav === "object") && (nav.hardwareConcurrency)) return nav.hardwareConcurrency;
+    if (typeof os.cpus === "function") return os.cpus().length || 2;
+    return 1;
+}
+
+// Makes navigator.hardwareConcurrency or os.cpus() report nCores and calls
+// onRead when they are read. Returns the function that undoes it.
+function reportCores(nCores, onRead) {
+    const nav = globalThis.navigator;
+    if ((typeof nav === "object") && (nav.hardwareConcurrency)) {
+        const own = Object.getOwnPropertyDescriptor(nav, "hardwareConcurrency");
+        Object.defineProperty(nav, "hardwareConcurrency", {
+            configurable: true,
+            get: () => {
+                onRead();
+                return nCores;
+            }
+        });
+        return () => {
+            if (own) {
+                Object.defineProperty(nav, "hardwareConcurrency", own);
+            } else {
+                delete nav.hardwareConcurrency;
+            }
+        };
+    }
+
+    const cpus = os.cpus;
+    // Browsers without hardwareConcurrency can not start the pool anyway
+    if (typeof cpus !== "function") return () => {};
+    os.cpus = () => {
+        onRead();
+        const all = cpus.call(os);
+        return Array.from({length: nCores}, (_, i) => all[i]);
+    };
+    return () => {
+        os.cpus = cpus;
+    };
+}
+
+// Curves known by snarkjs. q is the base field prime, which is what zkey and
+// ptau files store, and build(singleThread) returns a new ffjavascript
+// compatible curve.
+const curveDefs = [];
+
+// Adds a curve, or replaces the one with the same name (an instance that is
+// already built is used until its last reference is given back). Names and aliases are case
+// insensitive and ignore anything that is not a letter or a digit, so
+// "alt_bn128" is "ALTBN128".
+//
+// def: {name, aliases, q, build}
+export function registerCurve(def) {
+    if ((!def) || (typeof def.name !== "string") || (typeof def.build !== "function") || (typeof def.q === "undefined")) {
+        throw new Error("Invalid curve: it needs a name, a q and a build function");
+    }
+    const q = Scalar.e(def.q);
+    const names = [def.name, ...(def.aliases || [])].map(normalizeName);
+
+    for (const other of curveDefs) {
+        if (other.names[0] == names[0]) continue;
+        if (Scalar.eq(other.q, q)) {
+            throw new Error(`Curve ${def.name} has the same q as ${other.name}`);
+        }
+        const used = names.find( (n) => other.names.includes(n) );
+        if (used) throw new Error(`Curve name ${used} is already used by ${other.name}`);
+    }
+
+    const i = curveDefs.findIndex( (other) => other.names[0] == names[0] );
+    const curveDef = {name: def.name, names, q, build: def.build};
+    if (i >= 0) {
+        curveDefs[i] = curveDef;
     } else {
-        throw new Error(`Curve not supported: ${Scalar.toString(q)}`);
+        curveDefs.push(curveDef);
+    }
+}
+
+registerCurve({name: "bn128", aliases: ["bn254", "alt_bn128"], q: bn128q, build: ffjavascriptBuilder(buildBn128, "curve_bn128")});
+registerCurve({name: "bls12381", aliases: ["bls12-381"], q: bls12381q, build: ffjavascriptBuilder(buildBls12381, "curve_bls12381")});
+
+function normalizeName(name) {
+    return String(name).toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// options:
+//   singleThread: runs everything in the calling thread, without workers
+//   maxWorkers: maximum number of workers of the pool. Default: one per core
+//   workersTimeout: ms given to the worker pool to start before falling back
+//           to a single thread. Default: 30s
+//   idleTimeout: ms the curve is kept for the next requests after its last
+//           reference is given back. 0 shuts it down right away. Default: 1s
+// workersTimeout and idleTimeout are taken from the request that builds the
+// curve.
+export async function getCurveFromQ(q, options) {
+    const curveDef = curveDefs.find( (d) => Scalar.eq(d.q, q) );
+    if (!curveDef) throw new Error(`Curve not supported: ${Scalar.toString(q)}`);
+    return await acquireCurve(curveDef, options);
+}
+
+// Same options as getCurveFromQ
+export async function getCurveFromName(name, options) {
+    const normName = normalizeName(name);
+    const curveDef = curveDefs.find( (d) => d.names.includes(normName) );
+    if (!curveDef) throw new Error(`Curve not supported: ${name}`);
+    return await acquireCurve(curveDef, options);
+}
+
+// Shuts down the worker pools of all the curves, whatever references are
+// still held. Curves requested afterwards are built again.
+export async function terminate() {
+    const entries = Array.from(registry.values());
+    registry.clear();
+    for (const entry of entries) {
+        entry.refs = 0;
+        if (entry.idleTimer) {
+            clearTimeout(entry.idleTimer);
+            entry.idleTimer = null;
+        }
+        try {
+            await entry.promise;
+        } catch (err) {
+            continue;
+        }
+        await entry.terminatePool();
     }
-    return curve;
-}
\ No newline at end of file
+}
@@ -0,0 +1,189 @@
+import { sha256 as nobleSha256 } from "@noble/hashes/sha2";
+import { fastFileReadExisting } from "./fastfile.js";
+
+const DEFAULT_DB_NAME = "snarkjs-artifacts";
+const DEFAULT_MAX_SIZE = 1 << 29;
+const DB_VERSION = 1;
+
+// Artifacts are stored with their SHA-256 (lowercase hex) as key. The data and
+// the metadata used for the eviction are kept in separate stores, so choosing
+// what to evict does not load the artifacts.
+const STORE_DATA = "data";
+const STORE_META = "meta";
+
+// Opens a cache of zkey, wasm or any other artifact in IndexedDB.
+//
+// options:
+//   indexedDB: IDBFactory to use. Default: globalThis.indexedDB
+//   name: database name. Default: "snarkjs-artifacts"
+//   maxSize: bytes kept before the least recently used artifacts are evicted.
+//           Default: 512MB
+//   logger
+//
+// Artifacts are returned as {type: "mem", data} fastfile descriptors, so they
+// can be passed directly as the zkey of groth16.prove or the wasm of
+// groth16.fullProve. Every artifact read from the database is hashed again,
+// and the ones that do not match their key are dropped.
+export async function open(options) {
+    options = options || {};
+    const idbFactory = options.indexedDB || globalThis.indexedDB;
+    const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+    const logger = options.logger;
+
+    if (!idbFactory) throw new Error("IndexedDB is not available");
+
+    const openRequest = idbFactory.open(options.name || DEFAULT_DB_NAME, DB_VERSION);
+    openRequest.onupgradeneeded = () => {
+        const db = openRequest.result;
+        if (!db.objectStoreNames.contains(STORE_DATA)) db.createObjectStore(STORE_DATA);
+        if (!db.objectStoreNames.contains(STORE_META)) db.createObjectStore(STORE_META, {keyPath: "hash"});
+    };
+    const db = await requestDone(openRequest);
+
+    async function get(hash) {
+        hash = normalizeHash(hash);
+
+        const tx = db.transaction([STORE_DATA, STORE_META], "readwrite");
+        const txDone = transactionDone(tx);
+        const data = await requestDone(tx.objectStore(STORE_DATA).get(hash));
+        if (typeof data === "undefined") {
+            await txDone;
+            return null;
+        }
+        tx.objectStore(STORE_META).put({hash, size: data.byteLength, lastAccess: Date.now()});
+        await txDone;
+
+        const buff = new Uint8Array(data);
+        if (await sha256(buff) !== hash) {
+            if (logger) logger.warn(`Cached artifact ${hash} is corrupted. Removing it`);
+            await remove(hash);
+            return null;
+        }
+
+        return {type: "mem", data: buff};
+    }
+
+    // Stores data and returns its hash. Artifacts larger than maxSize are not
+    // stored.
+    async function put(data, hash) {
+        const computedHash = await sha256(data);
+        if ((typeof hash !== "undefined") && (normalizeHash(hash) !== computedHash)) {
+            throw new Error(`Integrity check failed. Expected hash: ${normalizeHash(hash)}, got: ${computedHash}`);
+        }
+        hash = computedHash;
+
+        if (data.byteLength > maxSize) {
+            if (logger) logger.warn(`Artifact ${hash} is larger than the cache. Not caching it`);
+            return hash;
+        }
+
+        const tx = db.transaction([STORE_DATA, STORE_META], "readwrite");
+        const txDone = transactionDone(tx);
+        const metaStore = tx.objectStore(STORE_META);
+        const all = await requestDone(metaStore.getAll());
+
+        // Least recently used first
+        const others = all.filter( (m) => m.hash !== hash ).sort( (a, b) => a.lastAccess - b.lastAccess );
+        let totalSize = others.reduce( (acc, m) => acc + m.size, 0 ) + data.byteLength;
+        for (const m of others) {
+            if (totalSize <= maxSize) break;
+            if (logger) logger.debug(`Evicting cached artifact ${m.hash}`);
+            tx.objectStore(STORE_DATA).delete(m.hash);
+            metaStore.delete(m.hash);
+            totalSize -= m.size;
+        }
+
+        // Stored as an ArrayBuffer of the exact size, as views are cloned with
+        // their whole underlying buffer
+        tx.objectStore(STORE_DATA).put(data.slice().buffer, hash);
+        metaStore.put({hash, size: data.byteLength, lastAccess: Date.now()});
+        await txDone;
+
+        return hash;
+    }
+
+    async function remove(hash) {
+        hash = normalizeHash(hash);
+        const tx = db.transaction([STORE_DATA, STORE_META], "readwrite");
+        const txDone = transactionDone(tx);
+        tx.objectStore(STORE_DATA).delete(hash);
+        tx.objectStore(STORE_META).delete(hash);
+        await txDone;
+    }
+
+    return {
+        get,
+        put,
+        delete: remove,
+
+        // Returns the artifact with the given hash from the cache or, when it
+        // is not there, reads it from source (anything fastfile can read: a
+        // URL, a file name, a buffer...), checks its hash and caches it. If
+        // hash is not given the source is always read.
+        async load(source, hash) {
+            if (typeof hash !== "undefined") {
+                const cached = await get(hash);
+                if (cached) {
+                    if (logger) logger.debug(`Artifact ${normalizeHash(hash)} read from the cache`);
+                    return cached;
+                }
+            }
+
+            const fd = await fastFileReadExisting(source);
+            const data = await fd.read(fd.totalSize, 0);
+            await fd.close();
+
+            await put(data, hash);
+            return {type: "mem", data};
+        },
+
+        // [{hash, size, lastAccess}] of the cached artifacts
+        async list() {
+            const tx = db.transaction([STORE_META], "readonly");
+            const txDone = transactionDone(tx);
+            const all = await requestDone(tx.objectStore(STORE_META).getAll());
+            await txDone;
+            return all;
+        },
+
+        async clear() {
+            const tx = db.transaction([STORE_DATA, STORE_META], "readwrite");
+            const txDone = transactionDone(tx);
+            tx.objectStore(STORE_DATA).clear();
+            tx.objectStore(STORE_META).clear();
+            await txDone;
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
+
+// crypto.subtle is not global before Node 17
+export async function sha256(data) {
+    const hash = nobleSha256(data instanceof Uint8Array ? data : new Uint8Array(data));
+    return Array.from(hash, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function normalizeHash(hash) {
+    if ((typeof hash !== "string") || (!/^[0-9a-fA-F]{64}$/.test(hash))) {
+        throw new Error(`Invalid artifact hash: ${hash}. It must be a SHA-256 in hex`);
+    }
+    return hash.toLowerCase();
+}
+
+function requestDone(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    });
+}
@@ -0,0 +1,270 @@
+import { BigBuffer } from "ffjavascript";
+
+const DEFAULT_CHUNK_SIZE = 1 << 22;
+
+// In-memory file stored as a list of chunks instead of a single Uint8Array, so
+// it is not limited by the maximum size of a typed array and growing it never
+// copies the data already written.
+//
+// o.data is the list of chunks. Existing files can be given any list of
+// Uint8Array chunks of any sizes (for instance the parts of a parallel
+// download) or a BigBuffer. New files allocate chunks of o.chunkSize bytes
+// and, once closed, o.data holds the chunks trimmed to the written size, or
+// a single Uint8Array for new files of type "mem".
+
+export function createNew(o) {
+    const fd = new BigMemFile();
+    fd.o = o;
+    fd.o.data = [];
+    fd.chunkSize = o.chunkSize || DEFAULT_CHUNK_SIZE;
+    fd.readOnly = false;
+    fd._setChunks([]);
+    fd.totalSize = 0;
+    return fd;
+}
+
+export function readExisting(o) {
+    const fd = new BigMemFile();
+    fd.o = o;
+    if (o.data instanceof BigBuffer) o.data = o.data.buffers;
+    fd.chunkSize = o.chunkSize || DEFAULT_CHUNK_SIZE;
+    fd.readOnly = true;
+    fd._setChunks(o.data);
+    fd.totalSize = fd.allocSize;
+    return fd;
+}
+
+export function readWriteExisting(o) {
+    const fd = readExisting(o);
+    fd.readOnly = false;
+    return fd;
+}
+
+// Copies the chunks to a single Uint8Array, letting go of each chunk once
+// copied
+function joinChunks(chunks, size) {
+    if (chunks.length == 1) return chunks[0];
+    const data = new Uint8Array(size);
+    let o = 0;
+    for (let i=0; i<chunks.length; i++) {
+        data.set(chunks[i], o);
+        o += chunks[i].byteLength;
+        chunks[i] = null;
+    }
+    return data;
+}
+
+const tmpBuff32 = new Uint8Array(4);
+const tmpBuff32v = new DataView(tmpBuff32.buffer);
+const tmpBuff64 = new Uint8Array(8);
+const tmpBuff64v = new DataView(tmpBuff64.buffer);
+
+class BigMemFile {
+
+    constructor() {
+        this.pageSize = 1 << 14;  // for compatibility
+        this.pos = 0;
+    }
+
+    _setChunks(chunks) {
+        this.chunks = chunks;
+        this.offsets = [];
+        let o = 0;
+        for (const chunk of chunks) {
+            this.offsets.push(o);
+            o += chunk.byteLength;
+        }
+        this.allocSize = o;
+    }
+
+    // Index of the chunk that holds the byte at pos
+    _chunkAt(pos) {
+        let lo = 0;
+        let hi = this.chunks.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (this.offsets[mid] <= pos) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return lo;
+    }
+
+    _resizeIfNeeded(newLen) {
+        while (newLen > this.allocSize) {
+            this.chunks.push(new Uint8Array(this.chunkSize));
+            this.offsets.push(this.allocSize);
+            this.allocSize += this.chunkSize;
+        }
+    }
+
+    // Calls fn(chunk, chunkOffset, o, n) for each piece of [pos, pos+len)
+    _forEachPiece(pos, len, fn) {
+        if (len == 0) return;
+        let c = this._chunkAt(pos);
+        let o = 0;
+        while (o < len) {
+            const chunkOffset = pos + o - this.offsets[c];
+            const n = Math.min(len - o, this.chunks[c].byteLength - chunkOffset);
+            fn(this.chunks[c], chunkOffset, o, n);
+            o += n;
+            c++;
+        }
+    }
+
+    async write(buff, pos) {
+        const self =this;
+        if (typeof pos == "undefined") pos = self.pos;
+        if (this.readOnly) throw new Error("Writing a read only file");
+
+        this._resizeIfNeeded(pos + buff.byteLength);
+
+        this._forEachPiece(pos, buff.byteLength, (chunk, chunkOffset, o, n) => {
+            chunk.set(buff.subarray ? buff.subarray(o, o + n) : buff.slice(o, o + n), chunkOffset);
+        });
+
+        if (pos + buff.byteLength > this.totalSize) this.totalSize = pos + buff.byteLength;
+
+        this.pos = pos + buff.byteLength;
+    }
+
+    async readToBuffer(buffDest, offset, len, pos) {
+        const self = this;
+        if (typeof pos == "undefined") pos = self.pos;
+        if (this.readOnly) {
+            if (pos + len > this.totalSize) throw new Error("Reading out of bounds");
+        }
+        this._resizeIfNeeded(pos + len);
+
+        this._forEachPiece(pos, len, (chunk, chunkOffset, o, n) => {
+            buffDest.set(chunk.subarray(chunkOffset, chunkOffset + n), offset + o);
+        });
+
+        this.pos = pos + len;
+    }
+
+    async read(len, pos) {
+        const self = this;
+
+        const buff = (len < (1 << 30)) ? new Uint8Array(len) : new BigBuffer(len);
+        await self.readToBuffer(buff, 0, len, pos);
+
+        return buff;
+    }
+
+    close() {
+        if (this.readOnly) return;
+
+        // Drop the chunks past the end and trim the last one
+        const chunks = [];
+        this._forEachPiece(0, this.totalSize, (chunk, chunkOffset, o, n) => {
+            chunks.push(n == chunk.byteLength ? chunk : chunk.slice(0, n));
+        });
+        if (this.o.type == "mem") {
+            this._setChunks([]);
+            this._setChunks([joinChunks(chunks, this.totalSize)]);
+            this.o.data = this.chunks[0];
+        } else {
+            this._setChunks(chunks);
+            this.o.data = chunks;
+        }
+    }
+
+    async discard() {
+    }
+
+
+    async writeULE32(v, pos) {
+        const self = this;
+
+        tmpBuff32v.setUint32(0, v, true);
+
+        await self.write(tmpBuff32, pos);
+    }
+
+    async writeUBE32(v, pos) {
+        const self = this;
+
+        tmpBuff32v.setUint32(0, v, false);
+
+        await self.write(tmpBuff32, pos);
+    }
+
+
+    async writeULE64(v, pos) {
+        const self = this;
+
+        tmpBuff64v.setUint32(0, v & 0xFFFFFFFF, true);
+        tmpBuff64v.setUint32(4, Math.floor(v / 0x100000000) , true);
+
+        await self.write(tmpBuff64, pos);
+    }
+
+
+    async readULE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[0];
+    }
+
+    async readUBE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new DataView(b.buffer);
+
+        return view.getUint32(0, false);
+    }
+
+    async readULE64(pos) {
+        const self = this;
+        const b = await self.read(8, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[1] * 0x100000000 + view[0];
+    }
+
+    async readString(pos) {
+        const self = this;
+
+        let currentPosition = typeof pos == "undefined" ? self.pos : pos;
+
+        if (currentPosition > this.totalSize) {
+            if (this.readOnly) {
+                throw new Error("Reading out of bounds");
+            }
+            this._resizeIfNeeded(pos);
+        }
+
+        const pieces = [];
+        let endOfStringFound = false;
+        this._forEachPiece(currentPosition, this.totalSize - currentPosition, (chunk, chunkOffset, o, n) => {
+            if (endOfStringFound) return;
+            const dataArray = chunk.subarray(chunkOffset, chunkOffset + n);
+            const indexEndOfString = dataArray.findIndex(element => element === 0);
+            endOfStringFound = indexEndOfString !== -1;
+            pieces.push(endOfStringFound ? dataArray.subarray(0, indexEndOfString) : dataArray);
+        });
+
+        let str = "";
+        if (endOfStringFound) {
+            const strBuff = new Uint8Array(pieces.reduce( (acc, p) => acc + p.byteLength, 0));
+            let o = 0;
+            for (const p of pieces) {
+                strBuff.set(p, o);
+                o += p.byteLength;
+            }
+            str = new TextDecoder().decode(strBuff);
+            self.pos = currentPosition + strBuff.byteLength + 1;
+        } else {
+            self.pos = currentPosition;
+        }
+        return str;
+    }
+}
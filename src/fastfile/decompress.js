@@ -0,0 +1,103 @@
+import zlib from "zlib";
+import stream from "stream";
+import * as fzstd from "fzstd";
+import * as bigMemFile from "./bigmemfile.js";
+
+// Size of the compressed pieces read from the source file
+const READ_CHUNK_SIZE = 1 << 20;
+
+export const GZIP = "gzip";
+export const BROTLI = "br";
+export const ZSTD = "zstd";
+
+// Compression detected from the first bytes of a file. Brotli streams have no
+// magic number, so they can only be recognised from the name (.br) or when
+// the caller says so.
+export function detectCompression(header, name) {
+    if ((header.byteLength >= 2) && (header[0] == 0x1f) && (header[1] == 0x8b)) return GZIP;
+    if ((header.byteLength >= 4) && (header[0] == 0x28) && (header[1] == 0xb5) && (header[2] == 0x2f) && (header[3] == 0xfd)) return ZSTD;
+    if ((typeof name === "string") && (/\.br$/i.test(name.split(/[?#]/)[0]))) return BROTLI;
+    return null;
+}
+
+// Decompresses the whole content of fd as a stream and returns a read only
+// bigMem file with the result. The pieces of the stream are copied into the
+// fixed size chunks of the file as they come out and dropped, so the memory
+// taken is the decompressed size, not the pieces and their overhead.
+export async function decompress(fd, format) {
+    const fdOut = bigMemFile.createNew({type: "bigMem"});
+    const write = (piece) => fdOut.write(piece);
+
+    if (format == ZSTD) {
+        await decompressZstd(fd, write);
+    } else if ((format == GZIP) || (format == BROTLI)) {
+        if (process.browser) {
+            await decompressWebStream(fd, format, write);
+        } else {
+            await decompressZlib(fd, format, write);
+        }
+    } else {
+        throw new Error("Unsupported compression: " + format);
+    }
+
+    await fdOut.close();
+    return bigMemFile.readExisting({type: "bigMem", data: fdOut.o.data});
+}
+
+async function* readChunks(fd) {
+    for (let pos=0; pos<fd.totalSize; pos+=READ_CHUNK_SIZE) {
+        yield await fd.read(Math.min(fd.totalSize - pos, READ_CHUNK_SIZE), pos);
+    }
+}
+
+async function decompressZlib(fd, format, write) {
+    const decompressor = format == GZIP ? zlib.createGunzip() : zlib.createBrotliDecompress();
+    const output = stream.pipeline(stream.Readable.from(readChunks(fd)), decompressor, () => {});
+
+    for await (const piece of output) {
+        await write(new Uint8Array(piece.buffer, piece.byteOffset, piece.byteLength));
+    }
+}
+
+async function decompressWebStream(fd, format, write) {
+    let decompressor;
+    try {
+        decompressor = new globalThis.DecompressionStream(format == GZIP ? "gzip" : "brotli");
+    } catch (err) {
+        throw new Error(`${format} decompression is not supported in this environment`);
+    }
+
+    const chunksIn = readChunks(fd);
+    const source = new globalThis.ReadableStream({
+        async pull(controller) {
+            const {value, done} = await chunksIn.next();
+            if (done) {
+                controller.close();
+            } else {
+                controller.enqueue(value);
+            }
+        }
+    });
+
+    const reader = source.pipeThrough(decompressor).getReader();
+    for (;;) {
+        const {value, done} = await reader.read();
+        if (done) break;
+        await write(value);
+    }
+}
+
+async function decompressZstd(fd, write) {
+    // Writes to a bigMem file are synchronous, so the output buffer, which the
+    // decompressor may reuse, is copied before the next push
+    const decompressor = new fzstd.Decompress((piece) => {
+        write(piece);
+    });
+
+    let finished = false;
+    for await (const chunk of readChunks(fd)) {
+        finished = fd.pos >= fd.totalSize;
+        decompressor.push(chunk, finished);
+    }
+    if (!finished) decompressor.push(new Uint8Array(0), true);
+}
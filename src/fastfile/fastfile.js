@@ -1,22 +1,122 @@
+import { BigBuffer } from "ffjavascript";
 import * as memFile from "./memfile.js";
+import * as bigMemFile from "./bigmemfile.js";
+import * as osFile from "./osfile.js";
+import * as urlFile from "./urlfile.js";
+import { detectCompression, decompress } from "./decompress.js";
 
-export async function fastFileReadExisting(o, b, c) {
+const DEFAULT_CACHE_SIZE = 1 << 16;
+const DEFAULT_PAGE_SIZE = 1 << 13;
+
+// o can be a Uint8Array, {type: "mem", data}, a list of Uint8Array chunks, a
+// BigBuffer, {type: "bigMem", data: chunks}, a file name,
+// {type: "file", fileName, cacheSize, pageSize}, an http(s) URL or
+// {type: "url", url, cacheSize, pageSize, fetchOptions}. cacheSize and
+// pageSize are the defaults for files given by name.
+//
+// gzip and zstd inputs are detected from their first bytes, and brotli ones
+// when their name ends in .br or o.compression is "br". o.compression can also
+// force "gzip" or "zstd", or "none" to disable it. Compressed inputs are
+// decompressed as a stream into a bigMem file (see decompress.js), so the
+// whole decompressed content is held in memory.
+export async function fastFileReadExisting(o, cacheSize, pageSize) {
+    o = normalize(o, cacheSize, pageSize);
+
+    const fd = await openExisting(o);
+
+    let compression = o.compression;
+    if (typeof compression === "undefined") {
+        const header = await fd.read(Math.min(4, fd.totalSize), 0);
+        fd.pos = 0;
+        compression = detectCompression(header, o.fileName || o.url);
+    }
+    if ((!compression) || (compression == "none")) return fd;
+
+    try {
+        return await decompress(fd, compression);
+    } finally {
+        await fd.close();
+    }
+}
+
+async function openExisting(o) {
+    if ((o.type == "mem") && (!(o.data instanceof Uint8Array))) {
+        // Chunked data can be given as a "mem" file too
+        return bigMemFile.readExisting(o);
+    } else if (o.type == "mem") {
+        return memFile.readExisting(o);
+    } else if (o.type == "bigMem") {
+        return bigMemFile.readExisting(o);
+    } else if (o.type == "file") {
+        return await osFile.open(o.fileName, "r", o.cacheSize, o.pageSize);
+    } else if (o.type == "url") {
+        return await urlFile.open(o.url, o.cacheSize, o.pageSize, o.fetchOptions);
+    } else {
+        throw new Error("Invalid FastFile type: "+o.type);
+    }
+}
+
+function normalize(o, cacheSize, pageSize) {
     if (o instanceof Uint8Array) {
         o = {
             type: "mem",
             data: o
         };
-    } else if (!o || o.type !== "mem") {
-        throw new Error("Invalid FastFile type, should be a Uint8Array");
+    } else if ((Array.isArray(o)) || (o instanceof BigBuffer)) {
+        o = {
+            type: "bigMem",
+            data: o
+        };
     }
-
-    return memFile.readExisting(o);
+    return fileDescriptor(o, cacheSize, pageSize);
 }
 
-export async function fastFileCreateOverride(o, b, c) {
-    if (o.type == "mem") {
-        return memFile.createNew(o);
+export async function fastFileCreateOverride(o, cacheSize, pageSize) {
+    o = fileDescriptor(o, cacheSize, pageSize);
+
+    if ((o.type == "mem") || (o.type == "bigMem")) {
+        // "mem" files are written in chunks too, so that growing them does
+        // not copy what is already written, and joined on close.
+        return bigMemFile.createNew(o);
+    } else if (o.type == "file") {
+        return await osFile.open(o.fileName, "w+", o.cacheSize, o.pageSize);
     } else {
         throw new Error("Invalid FastFile type: "+o.type);
     }
 }
+
+function fileDescriptor(o, cacheSize, pageSize) {
+    if (typeof o === "string") {
+        if (/^https?:\/\//.test(o)) {
+            o = {
+                type: "url",
+                url: o
+            };
+        } else {
+            o = {
+                type: "file",
+                fileName: o
+            };
+        }
+    }
+    if (!o || typeof o.type !== "string") {
+        throw new Error("Invalid FastFile type, should be a Uint8Array, a file name or an object with a type");
+    }
+    if (o.type == "file") {
+        if (process.browser) throw new Error("Files are not available in the browser");
+        o = {
+            ...o,
+            cacheSize: o.cacheSize || cacheSize || DEFAULT_CACHE_SIZE,
+            pageSize: o.pageSize || pageSize || DEFAULT_PAGE_SIZE
+        };
+    }
+    if (o.type == "url") {
+        // The page sizes used for local files are too large to fetch the
+        // section table of a remote file, so only explicit ones are used.
+        o = {
+            ...o,
+            cacheSize: o.cacheSize || cacheSize
+        };
+    }
+    return o;
+}
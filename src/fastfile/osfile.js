@@ -0,0 +1,306 @@
+import fs from "fs";
+
+const DEFAULT_CACHE_SIZE = 1 << 16;
+const DEFAULT_PAGE_SIZE = 1 << 13;
+const MAX_DIRECT_IO = 1 << 24;
+
+export async function open(fileName, flags, cacheSize, pageSize) {
+    const fh = await fs.promises.open(fileName, flags);
+    const stats = await fh.stat();
+
+    return new OsFile(fh, fileName, stats.size, flags == "r", cacheSize, pageSize);
+}
+
+const tmpBuff32 = new Uint8Array(4);
+const tmpBuff32v = new DataView(tmpBuff32.buffer);
+const tmpBuff64 = new Uint8Array(8);
+const tmpBuff64v = new DataView(tmpBuff64.buffer);
+
+// File on disk read and written through a LRU cache of cacheSize bytes split
+// in pages of pageSize bytes. Pages are only written back when they are
+// evicted or the file is closed. Accesses larger than the cache go straight
+// to disk for the pages that are not cached, so reading a big section does
+// not flush the cache.
+//
+// Operations are queued, so calls that do not await each other still run in
+// order, and a call without pos continues where the previous one ended.
+class OsFile {
+
+    constructor(fh, fileName, size, readOnly, cacheSize, pageSize) {
+        this.fh = fh;
+        this.fileName = fileName;
+        this.totalSize = size;
+        this.readOnly = readOnly;
+        this.pos = 0;
+        this.pageSize = pageSize || DEFAULT_PAGE_SIZE;
+        this.cacheSize = cacheSize || DEFAULT_CACHE_SIZE;
+        this.maxPages = Math.max(1, Math.floor(this.cacheSize / this.pageSize));
+        this.pages = new Map(); // Page number => {buff, dirty}, least recently used first
+        this.queue = Promise.resolve();
+    }
+
+    _run(fn) {
+        const p = this.queue.then(fn);
+        this.queue = p.catch(() => {});
+        return p;
+    }
+
+    async _getPage(nPage) {
+        let page = this.pages.get(nPage);
+        if (page) {
+            this.pages.delete(nPage);
+        } else {
+            const buff = new Uint8Array(this.pageSize);
+            await this._readFromDisk(buff, 0, this.pageSize, nPage*this.pageSize);
+            page = {buff, dirty: false};
+        }
+        this.pages.set(nPage, page);
+
+        while (this.pages.size > this.maxPages) {
+            const [oldest, oldestPage] = this.pages.entries().next().value;
+            this.pages.delete(oldest);
+            if (oldestPage.dirty) await this._writePage(oldest, oldestPage);
+        }
+
+        return page;
+    }
+
+    async _writePage(nPage, page) {
+        const pagePos = nPage*this.pageSize;
+        const len = Math.min(this.pageSize, this.totalSize - pagePos);
+        if (len > 0) await this._writeToDisk(page.buff, 0, len, pagePos);
+        page.dirty = false;
+    }
+
+    // Bytes past the end of the data on disk are read as zeros
+    async _readFromDisk(buff, offset, len, pos) {
+        let o = 0;
+        while (o < len) {
+            const n = Math.min(len - o, MAX_DIRECT_IO);
+            const {bytesRead} = await this.fh.read(buff, offset + o, n, pos + o);
+            if (bytesRead == 0) {
+                buff.fill(0, offset + o, offset + len);
+                break;
+            }
+            o += bytesRead;
+        }
+    }
+
+    async _writeToDisk(buff, offset, len, pos) {
+        let o = 0;
+        while (o < len) {
+            const n = Math.min(len - o, MAX_DIRECT_IO);
+            const {bytesWritten} = await this.fh.write(buff, offset + o, n, pos + o);
+            o += bytesWritten;
+        }
+    }
+
+    // Length of the run of pages not in the cache starting at pos, capped to len
+    _uncachedRun(pos, len) {
+        let p = Math.floor(pos / this.pageSize);
+        let end = pos;
+        while ((end < pos + len) && (!this.pages.has(p))) {
+            p++;
+            end = p*this.pageSize;
+        }
+        return Math.min(end, pos + len) - pos;
+    }
+
+    async write(buff, pos) {
+        if (this.readOnly) throw new Error("Writing a read only file");
+
+        // The caller may reuse buff as soon as this returns
+        const data = buff.slice();
+
+        return this._run(async () => {
+            if (typeof pos == "undefined") pos = this.pos;
+            const len = data.byteLength;
+            const isLarge = len > this.cacheSize;
+
+            // Set before writing so evicted pages are flushed with their full length
+            if (pos + len > this.totalSize) this.totalSize = pos + len;
+
+            let o = 0;
+            while (o < len) {
+                const nPage = Math.floor((pos + o) / this.pageSize);
+                const pageOffset = (pos + o) % this.pageSize;
+
+                if ((isLarge) && (pageOffset == 0) && (!this.pages.has(nPage))) {
+                    const run = this._uncachedRun(pos + o, len - o);
+                    const n = run - (run % this.pageSize);
+                    if (n > 0) {
+                        await this._writeToDisk(data, o, n, pos + o);
+                        o += n;
+                        continue;
+                    }
+                }
+
+                const n = Math.min(len - o, this.pageSize - pageOffset);
+                const page = await this._getPage(nPage);
+                page.buff.set(data.subarray(o, o + n), pageOffset);
+                page.dirty = true;
+                o += n;
+            }
+
+            this.pos = pos + len;
+        });
+    }
+
+    async readToBuffer(buffDest, offset, len, pos) {
+        return this._run(async () => {
+            if (typeof pos == "undefined") pos = this.pos;
+            if ((this.readOnly) && (pos + len > this.totalSize)) {
+                throw new Error("Reading out of bounds");
+            }
+            const isLarge = len > this.cacheSize;
+
+            let o = 0;
+            while (o < len) {
+                const nPage = Math.floor((pos + o) / this.pageSize);
+                const pageOffset = (pos + o) % this.pageSize;
+
+                if ((isLarge) && (!this.pages.has(nPage))) {
+                    const n = this._uncachedRun(pos + o, len - o);
+                    if (buffDest instanceof Uint8Array) {
+                        await this._readFromDisk(buffDest, offset + o, n, pos + o);
+                    } else {
+                        // BigBuffer
+                        for (let i=0; i<n; i+= MAX_DIRECT_IO) {
+                            const tmp = new Uint8Array(Math.min(n - i, MAX_DIRECT_IO));
+                            await this._readFromDisk(tmp, 0, tmp.byteLength, pos + o + i);
+                            buffDest.set(tmp, offset + o + i);
+                        }
+                    }
+                    o += n;
+                    continue;
+                }
+
+                const n = Math.min(len - o, this.pageSize - pageOffset);
+                const page = await this._getPage(nPage);
+                buffDest.set(page.buff.subarray(pageOffset, pageOffset + n), offset + o);
+                o += n;
+            }
+
+            this.pos = pos + len;
+        });
+    }
+
+    async read(len, pos) {
+        const self = this;
+
+        const buff = new Uint8Array(len);
+        await self.readToBuffer(buff, 0, len, pos);
+
+        return buff;
+    }
+
+    async close() {
+        return this._run(async () => {
+            if (!this.fh) return;
+            const dirty = [...this.pages.entries()].filter( ([, page]) => page.dirty );
+            dirty.sort( (a, b) => a[0] - b[0] );
+            for (const [nPage, page] of dirty) await this._writePage(nPage, page);
+            this.pages.clear();
+            await this.fh.close();
+            this.fh = null;
+        });
+    }
+
+    async discard() {
+        await this.close();
+        await fs.promises.unlink(this.fileName);
+    }
+
+
+    async writeULE32(v, pos) {
+        const self = this;
+
+        tmpBuff32v.setUint32(0, v, true);
+
+        await self.write(tmpBuff32, pos);
+    }
+
+    async writeUBE32(v, pos) {
+        const self = this;
+
+        tmpBuff32v.setUint32(0, v, false);
+
+        await self.write(tmpBuff32, pos);
+    }
+
+
+    async writeULE64(v, pos) {
+        const self = this;
+
+        tmpBuff64v.setUint32(0, v & 0xFFFFFFFF, true);
+        tmpBuff64v.setUint32(4, Math.floor(v / 0x100000000) , true);
+
+        await self.write(tmpBuff64, pos);
+    }
+
+
+    async readULE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[0];
+    }
+
+    async readUBE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new DataView(b.buffer);
+
+        return view.getUint32(0, false);
+    }
+
+    async readULE64(pos) {
+        const self = this;
+        const b = await self.read(8, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[1] * 0x100000000 + view[0];
+    }
+
+    async readString(pos) {
+        return this._run(async () => {
+            let currentPosition = typeof pos == "undefined" ? this.pos : pos;
+
+            if ((currentPosition > this.totalSize) && (this.readOnly)) {
+                throw new Error("Reading out of bounds");
+            }
+
+            const chunks = [];
+            let endOfStringFound = false;
+            while ((!endOfStringFound) && (currentPosition < this.totalSize)) {
+                const nPage = Math.floor(currentPosition / this.pageSize);
+                const pageOffset = currentPosition % this.pageSize;
+                const pageEnd = Math.min(this.pageSize, this.totalSize - nPage*this.pageSize);
+                const page = await this._getPage(nPage);
+                const dataArray = page.buff.subarray(pageOffset, pageEnd);
+
+                const indexEndOfString = dataArray.findIndex(element => element === 0);
+                endOfStringFound = indexEndOfString !== -1;
+                const chunk = endOfStringFound ? dataArray.slice(0, indexEndOfString) : dataArray.slice();
+                chunks.push(chunk);
+                currentPosition += endOfStringFound ? indexEndOfString + 1 : chunk.byteLength;
+            }
+
+            // Same as MemFile: an unterminated string is not consumed
+            if (!endOfStringFound) return "";
+
+            const strBuff = new Uint8Array(chunks.reduce( (acc, c) => acc + c.byteLength, 0));
+            let o = 0;
+            for (const c of chunks) {
+                strBuff.set(c, o);
+                o += c.byteLength;
+            }
+            this.pos = currentPosition;
+            return new TextDecoder().decode(strBuff);
+        });
+    }
+}
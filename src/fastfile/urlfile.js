@@ -0,0 +1,249 @@
+import { BigBuffer } from "ffjavascript";
+import * as memFile from "./memfile.js";
+
+const DEFAULT_CACHE_SIZE = 1 << 20;
+const DEFAULT_PAGE_SIZE = 1 << 16;
+const MAX_FETCH_SIZE = 1 << 26;
+
+// Opens a remote file with HTTP Range requests. The first request fetches the
+// first page, which also gives the total size. If the server ignores the Range
+// header it sends the whole file, which is then served from memory.
+export async function open(url, cacheSize, pageSize, fetchOptions) {
+    pageSize = pageSize || DEFAULT_PAGE_SIZE;
+
+    const res = await fetchRange(url, fetchOptions, 0, pageSize);
+
+    if (res.status == 200) {
+        const data = new Uint8Array(await res.arrayBuffer());
+        return memFile.readExisting({type: "mem", data});
+    }
+
+    const contentRange = res.headers.get("Content-Range") || "";
+    const m = /\/(\d+)$/.exec(contentRange);
+    if (!m) throw new Error(`${url}: Invalid Content-Range: "${contentRange}"`);
+
+    const fd = new UrlFile(url, fetchOptions, parseInt(m[1]), cacheSize, pageSize);
+    const firstPage = new Uint8Array(pageSize);
+    firstPage.set(new Uint8Array(await res.arrayBuffer()).subarray(0, pageSize));
+    fd.pages.set(0, firstPage);
+
+    return fd;
+}
+
+async function fetchRange(url, fetchOptions, pos, len, signal) {
+    const options = fetchOptions || {};
+    const res = await globalThis.fetch(url, {
+        ...options,
+        signal: signal || options.signal,
+        headers: {
+            ...options.headers,
+            Range: `bytes=${pos}-${pos + len - 1}`
+        }
+    });
+    if ((res.status != 206) && (res.status != 200)) {
+        throw new Error(`${url}: HTTP ${res.status} fetching bytes ${pos}-${pos + len - 1}`);
+    }
+    return res;
+}
+
+// Read only file fetched by pages of pageSize bytes kept in a LRU cache of
+// cacheSize bytes. Reads larger than a page are fetched directly with a single
+// request and are not cached.
+//
+// prefetch(pos, len) starts downloading a range in the background. Ranges are
+// downloaded one after the other in the order they are requested, and a later
+// read inside a prefetched range waits for it instead of fetching again. The
+// buffer of a range is only allocated when its download starts.
+//
+// close() aborts the requests in flight, as does the signal of fetchOptions.
+class UrlFile {
+
+    constructor(url, fetchOptions, size, cacheSize, pageSize) {
+        this.url = url;
+        this.fileName = url;
+        this.fetchOptions = fetchOptions;
+        this.totalSize = size;
+        this.readOnly = true;
+        this.pos = 0;
+        this.pageSize = pageSize;
+        this.cacheSize = cacheSize || DEFAULT_CACHE_SIZE;
+        this.maxPages = Math.max(1, Math.floor(this.cacheSize / this.pageSize));
+        this.pages = new Map(); // Page number => Uint8Array, least recently used first
+        this.prefetched = [];
+        this.lastPrefetch = Promise.resolve();
+
+        // Requests can not be aborted without AbortController (Node < 15)
+        if (typeof globalThis.AbortController === "function") {
+            this.controller = new globalThis.AbortController();
+            const signal = fetchOptions && fetchOptions.signal;
+            if (signal) {
+                this.onAbort = () => this.controller.abort();
+                if (signal.aborted) this.onAbort();
+                signal.addEventListener("abort", this.onAbort);
+            }
+        }
+    }
+
+    async _fetch(buffDest, offset, len, pos) {
+        for (let o=0; o<len; o+= MAX_FETCH_SIZE) {
+            const n = Math.min(len - o, MAX_FETCH_SIZE);
+            const res = await fetchRange(this.url, this.fetchOptions, pos + o, n, this.controller && this.controller.signal);
+            if (res.status != 206) throw new Error(`${this.url}: Range requests are not supported`);
+            const buff = new Uint8Array(await res.arrayBuffer());
+            if (buff.byteLength != n) throw new Error(`${this.url}: Invalid range length`);
+            buffDest.set(buff, offset + o);
+        }
+    }
+
+    async _getPage(nPage) {
+        let page = this.pages.get(nPage);
+        if (page) {
+            this.pages.delete(nPage);
+        } else {
+            page = new Uint8Array(this.pageSize);
+            const pagePos = nPage*this.pageSize;
+            await this._fetch(page, 0, Math.min(this.pageSize, this.totalSize - pagePos), pagePos);
+        }
+        this.pages.set(nPage, page);
+
+        while (this.pages.size > this.maxPages) {
+            this.pages.delete(this.pages.keys().next().value);
+        }
+
+        return page;
+    }
+
+    prefetch(pos, len) {
+        if ((len == 0) || (pos + len > this.totalSize)) return;
+        const entry = {pos, len, buff: null};
+        entry.promise = this.lastPrefetch.then( async () => {
+            // Dropped by close()
+            if (!this.prefetched.includes(entry)) return;
+            entry.buff = (len < (1 << 30)) ? new Uint8Array(len) : new BigBuffer(len);
+            await this._fetch(entry.buff, 0, len, pos);
+        });
+        this.lastPrefetch = entry.promise.catch(() => {});
+        this.prefetched.push(entry);
+    }
+
+    async readToBuffer(buffDest, offset, len, pos) {
+        if (typeof pos == "undefined") pos = this.pos;
+        if (pos + len > this.totalSize) throw new Error("Reading out of bounds");
+        this.pos = pos + len;
+
+        const entry = this.prefetched.find( (e) => (e.pos <= pos) && (pos + len <= e.pos + e.len) );
+        if (entry) {
+            await entry.promise;
+            if (!entry.buff) throw new Error(`${this.url}: File closed`);
+            const from = pos - entry.pos;
+            // BigBuffers have no subarray
+            buffDest.set((entry.buff instanceof BigBuffer) ? entry.buff.slice(from, from + len) : entry.buff.subarray(from, from + len), offset);
+            // Sections are read once, so the whole range is released at once
+            if ((entry.pos == pos) && (entry.len == len)) {
+                this.prefetched.splice(this.prefetched.indexOf(entry), 1);
+            }
+            return;
+        }
+
+        if (len > this.pageSize) {
+            await this._fetch(buffDest, offset, len, pos);
+            return;
+        }
+
+        let o = 0;
+        while (o < len) {
+            const nPage = Math.floor((pos + o) / this.pageSize);
+            const pageOffset = (pos + o) % this.pageSize;
+            const n = Math.min(len - o, this.pageSize - pageOffset);
+            const page = await this._getPage(nPage);
+            buffDest.set(page.subarray(pageOffset, pageOffset + n), offset + o);
+            o += n;
+        }
+    }
+
+    async read(len, pos) {
+        const self = this;
+
+        const buff = new Uint8Array(len);
+        await self.readToBuffer(buff, 0, len, pos);
+
+        return buff;
+    }
+
+    async write() {
+        throw new Error("Writing a read only file");
+    }
+
+    async close() {
+        if (this.controller) this.controller.abort();
+        if (this.onAbort) this.fetchOptions.signal.removeEventListener("abort", this.onAbort);
+        this.pages.clear();
+        this.prefetched = [];
+    }
+
+    async discard() {
+        await this.close();
+    }
+
+
+    async readULE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[0];
+    }
+
+    async readUBE32(pos) {
+        const self = this;
+        const b = await self.read(4, pos);
+
+        const view = new DataView(b.buffer);
+
+        return view.getUint32(0, false);
+    }
+
+    async readULE64(pos) {
+        const self = this;
+        const b = await self.read(8, pos);
+
+        const view = new Uint32Array(b.buffer);
+
+        return view[1] * 0x100000000 + view[0];
+    }
+
+    async readString(pos) {
+        const self = this;
+
+        let currentPosition = typeof pos == "undefined" ? self.pos : pos;
+        if (currentPosition > this.totalSize) throw new Error("Reading out of bounds");
+
+        const chunks = [];
+        let endOfStringFound = false;
+        while ((!endOfStringFound) && (currentPosition < this.totalSize)) {
+            const nPage = Math.floor(currentPosition / this.pageSize);
+            const pageOffset = currentPosition % this.pageSize;
+            const pageEnd = Math.min(this.pageSize, this.totalSize - nPage*this.pageSize);
+            const page = await this._getPage(nPage);
+            const dataArray = page.subarray(pageOffset, pageEnd);
+
+            const indexEndOfString = dataArray.findIndex(element => element === 0);
+            endOfStringFound = indexEndOfString !== -1;
+            const chunk = endOfStringFound ? dataArray.slice(0, indexEndOfString) : dataArray.slice();
+            chunks.push(chunk);
+            currentPosition += endOfStringFound ? indexEndOfString + 1 : chunk.byteLength;
+        }
+
+        if (!endOfStringFound) return "";
+
+        const strBuff = new Uint8Array(chunks.reduce( (acc, c) => acc + c.byteLength, 0));
+        let o = 0;
+        for (const c of chunks) {
+            strBuff.set(c, o);
+            o += c.byteLength;
+        }
+        self.pos = currentPosition;
+        return new TextDecoder().decode(strBuff);
+    }
+}
@@ -0,0 +1,114 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { BigBuffer } from "ffjavascript";
+import { log2 } from "./misc.js";
+
+const MAX_CHUNK_SIZE = 1 << 16;
+
+// Returns the shift of the odd coset of the domain of size 2^power: the
+// 2^(power+1)-th root of unity, or Fr.shift for the largest domain, where the
+// extended domain of ffjavascript is the domain and its coset by Fr.shift.
+export function oddCosetShift(Fr, power) {
+    if (power > Fr.s) throw new Error(`Domain too big: 2^${power} > 2^${Fr.s}`);
+    return power == Fr.s ? Fr.shift : Fr.w[power+1];
+}
+
+// Takes the evaluations of a polynomial of degree < n on the n-th roots of
+// unity and returns its evaluations on their odd coset, the points
+// oddCosetShift(Fr, log2(n))·w^i.
+//
+// Instead of an IFFT, batchApplyKey and an FFT, the coefficients are taken
+// from a forward FFT: n·p[i] = P[-i mod n] where P = FFT(evaluations). The
+// reversal, the 1/n and the powers of the shift are applied in a single pass
+// in the workers (frm_fftFinal and frm_batchApplyKey), and a last FFT gives
+// the evaluations on the coset.
+export default async function fftExtend(Fr, buff, logger, loggerTxt) {
+    const n8 = Fr.n8;
+    const n = buff.byteLength / n8;
+    const power = log2(n);
+    if ((1 << power) != n) throw new Error("fftExtend: the size must be a power of 2");
+
+    const inc = oddCosetShift(Fr, power);
+
+    const buffP = await Fr.fft(buff, "", "", logger, loggerTxt + " coefs");
+
+    let chunkSize = Math.min(n, MAX_CHUNK_SIZE);
+    let nChunks = n / chunkSize;
+    while ((nChunks < Fr.tm.concurrency) && (chunkSize >= 16)) {
+        nChunks *= 2;
+        chunkSize /= 2;
+    }
+
+    const invN = Fr.inv(Fr.e(n));
+    const incChunk = Fr.exp(inc, chunkSize);
+    const promises = [];
+    let first = Fr.one;
+    for (let i=0; i<nChunks; i++) {
+        // Chunk i takes P[-(i*chunkSize + j) mod n], that is, the points
+        // (n - (i+1)*chunkSize, n - i*chunkSize] reversed, where n is 0.
+        const to = n - i*chunkSize;
+        const from = to - chunkSize + 1;
+        let buffChunk;
+        if (i == 0) {
+            buffChunk = new Uint8Array(chunkSize*n8);
+            buffChunk.set(buffP.slice(from*n8, n*n8));
+            buffChunk.set(buffP.slice(0, n8), (chunkSize-1)*n8);
+        } else {
+            buffChunk = buffP.slice(from*n8, (to+1)*n8);
+        }
+
+        const task = [];
+        task.push({cmd: "ALLOCSET", var: 0, buff: buffChunk});
+        task.push({cmd: "ALLOCSET", var: 1, buff: invN});
+        task.push({cmd: "ALLOCSET", var: 2, buff: first});
+        task.push({cmd: "ALLOCSET", var: 3, buff: inc});
+        task.push({cmd: "ALLOC", var: 4, len: chunkSize*n8});
+        task.push({cmd: "CALL", fnName: "frm_fftFinal", params: [
+            {var: 0},
+            {val: chunkSize},
+            {var: 1},
+        ]});
+        task.push({cmd: "CALL", fnName: "frm_batchApplyKey", params: [
+            {var: 0},
+            {val: chunkSize},
+            {var: 2},
+            {var: 3},
+            {var: 4},
+        ]});
+        task.push({cmd: "GET", out: 0, var: 4, len: chunkSize*n8});
+        promises.push(Fr.tm.queueAction(task));
+
+        first = Fr.mul(first, incChunk);
+    }
+
+    const results = await Promise.all(promises);
+
+    let buffCoefs;
+    if (buffP instanceof BigBuffer) {
+        buffCoefs = new BigBuffer(n*n8);
+    } else {
+        buffCoefs = new Uint8Array(n*n8);
+    }
+    for (let i=0; i<nChunks; i++) {
+        buffCoefs.set(results[i][0], i*chunkSize*n8);
+    }
+
+    return await Fr.fft(buffCoefs, "", "", logger, loggerTxt);
+}
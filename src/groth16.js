@@ -19,3 +19,8 @@
 
 export {default as fullProve} from "./groth16_fullprove.js";
 export {default as prove} from "./groth16_prove.js";
+export {default as verify} from "./groth16_verify.js";
+export {default as createProver} from "./groth16_prover.js";
+export {default as rerandomize} from "./groth16_rerandomize.js";
+export {default as verifyBatch} from "./groth16_verify_batch.js";
+export {default as createProverWorker} from "./groth16_prover_worker.js";
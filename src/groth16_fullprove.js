@@ -17,17 +17,26 @@
     along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
 */
 
-import groth16_prove from "./groth16_prove.js";
+import groth16_prove, { reportProgress } from "./groth16_prove.js";
 import wtns_calculate from "./wtns_calculate.js";
+import { throwIfAborted } from "./misc.js";
 import {utils} from "ffjavascript";
 const {unstringifyBigInts} = utils;
 
-export default async function groth16FullProve(_input, wasmFile, zkeyFileName, logger) {
+// options are forwarded to groth16Prove (see groth16_prove.js). Besides,
+// options.wasmDigest pins the circuit wasm as zkeyDigest pins the zkey.
+export default async function groth16FullProve(_input, wasmFile, zkeyFileName, logger, options) {
     const input = unstringifyBigInts(_input);
 
+    throwIfAborted(options && options.signal);
+
+    // Kept in chunks, the prover does not need it in a single buffer
     const wtns= {
-        type: "mem"
+        type: "bigMem"
     };
-    await wtns_calculate(input, wasmFile, wtns);
-    return await groth16_prove(zkeyFileName, wtns, logger);
+    const onProgress = options && options.onProgress;
+    reportProgress(onProgress, "witness", "Witness", 0, 1);
+    await wtns_calculate(input, wasmFile, wtns, {wasmDigest: options && options.wasmDigest});
+    reportProgress(onProgress, "witness", "Witness", 1, 1);
+    return await groth16_prove(zkeyFileName, wtns, logger, options);
 }
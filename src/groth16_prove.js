@@ -19,19 +19,162 @@
 
 import * as zkeyUtils from "./zkey_utils.js";
 import * as wtnsUtils from "./wtns_utils.js";
-import { log2 } from "./misc.js";
+import { log2, throwIfAborted, yieldToEventLoop } from "./misc.js";
 import { Scalar, utils, BigBuffer } from "ffjavascript";
 const {stringifyBigInts} = utils;
-import { readBinFile, readSection } from "./binfileutils/binfileutils.js";
+import { readBinFile, readSection, prefetchSections } from "./binfileutils/binfileutils.js";
+import { parseDigest, readVerifiedSections } from "./integrity.js";
+import { fastFileReadExisting } from "./fastfile/fastfile.js";
+import fftExtend, { oddCosetShift } from "./fft_extend.js";
+import sparseMultiExp, { partitionWitness } from "./sparse_multiexp.js";
+
+// Number of coefficients processed in buildABC1 between two abort checks
+const CHECKPOINT_INTERVAL = 1 << 16;
+
+// Maximum number of points of the domain evaluated by a single task and of
+// witness elements sent to it
+const MAX_QAP_CHUNK_SIZE = 1 << 20;
+const MAX_QAP_WITNESS_WINDOW = 1 << 22;
+
+// Memory that the concurrent FFT pipelines and multiexps may take by default
+const DEFAULT_MEMORY_BUDGET = 1 << 30;
+
+// options:
+//   signal: AbortSignal. When aborted, the proof is rejected with an AbortError
+//           at the next checkpoint and no further work is scheduled.
+//   onProgress: function called with {phase, label, done, total} events, where
+//           phase is one of "witness", "buildABC", "fft", "joinABC" or
+//           "multiexp" and done/total count the steps of that phase.
+//   r, s: explicit blinding factors (anything Fr.e accepts). Meant to
+//           reproduce a given proof; never reuse them across proofs.
+//   rng: random generator with a nextU64() method (e.g. ffjavascript's
+//           ChaCha) used to draw r and s instead of the default source.
+//   insecureDeterministic: TESTING ONLY. Uses r = s = 0, so the proof is
+//           deterministic but NOT zero-knowledge: it leaks the witness.
+//   zkeyDigest: expected digest of the zkey (see integrity.js). The zkey is
+//           hashed while the proof is computed and the proof is rejected with
+//           an IntegrityError before the first multiexp if it does not match.
+//   memoryBudget: bytes that the FFT pipelines of A, B and C, and then the
+//           multiexps, may take when they run concurrently. The ones that do
+//           not fit wait for the running ones to finish. Default: 1GB
+//   fftExtend: evaluates A, B and C on the odd coset with fftExtend (see
+//           fft_extend.js) instead of an IFFT, batchApplyKey and an FFT.
+//   sparseWitness: false computes the multiexps of A, B1, B2 and C with the
+//           whole witness. By default, the zero scalars are skipped and the
+//           points of the one scalars are just added (see sparse_multiexp.js).
+//   singleThread: computes the proof without a worker pool.
+//   maxWorkers: maximum number of workers used for the proof. Curves fall
+//           back to a single thread when workers cannot be started (see
+//           curves.js).
+export default async function groth16Prove(zkeyFileName, witnessFileName, logger, options) {
+    const signal = options && options.signal;
+
+    throwIfAborted(signal);
+    const zkeyDigest = options && options.zkeyDigest;
+    if (zkeyDigest) parseDigest(zkeyDigest);
+
+    const {wtns, buffWitness} = await readWitness(witnessFileName, logger);
+
+    const {zkey, readZKeySection, close} = await openZKey(zkeyFileName, zkeyDigest, logger, options);
+    try {
+        return await groth16ProveWitness(zkey, wtns, buffWitness, readZKeySection, logger, options);
+    } finally {
+        await close();
+        await zkey.curve.terminate();
+    }
+}
+
+// Opens a zkey and reads its header. readZKeySection(idSection) reads the
+// proving sections (4 to 9), which remote zkeys download in the background.
+// close() closes the file; the curve of the zkey is given back by the caller.
+//
+// With zkeyDigest, the zkey is read once and hashed in the background (see
+// readVerifiedSections): the header and the proving sections are taken from
+// the hashed bytes, and the points (5 to 9) are only given once the digest
+// matched. The proving sections are kept in memory from the moment they are
+// hashed until they are read.
+export async function openZKey(zkeyFileName, zkeyDigest, logger, options) {
+    const {fd, sections} = await readBinFile(zkeyFileName, "zkey", 2, 1<<25, 1<<23);
+
+    // Remote zkeys keep downloading the points while the QAP is computed
+    prefetchSections(fd, sections, [4, 5, 6, 7, 8, 9]);
+
+    if (!zkeyDigest) {
+        try {
+            const zkey = await zkeyUtils.readHeader(fd, sections, false, options);
+            return {
+                zkey,
+                readZKeySection: async (idSection) => await readSection(fd, sections, idSection),
+                close: async () => await fd.close(),
+            };
+        } catch (err) {
+            await fd.close();
+            throw err;
+        }
+    }
+
+    if (logger) logger.debug("Checking the zkey digest");
+    // Stops the hashing on close. A plain flag is enough for throwIfAborted,
+    // and AbortController is only global from Node 15 on.
+    const stop = {aborted: false};
+    const verified = readVerifiedSections("zkey", zkeyDigest, fd, sections, [1, 2, 4, 5, 6, 7, 8, 9], stop);
+    // Awaited before reading the points
+    verified.done.catch(() => {});
+
+    const close = async () => {
+        stop.aborted = true;
+        await verified.done.catch(() => {});
+        await fd.close();
+    };
+
+    try {
+        // The header is parsed from the hashed sections 1 and 2
+        const buffHeader = await verified.section(1);
+        const buffGroth16Header = await verified.section(2);
+        const data = new Uint8Array(buffHeader.byteLength + buffGroth16Header.byteLength);
+        data.set(buffHeader);
+        data.set(buffGroth16Header, buffHeader.byteLength);
+        const fdHeader = await fastFileReadExisting({type: "mem", data});
+        const zkey = await zkeyUtils.readHeader(fdHeader, [
+            undefined,
+            [{p: 0, size: buffHeader.byteLength}],
+            [{p: buffHeader.byteLength, size: buffGroth16Header.byteLength}],
+        ], false, options);
+        await fdHeader.close();
+
+        return {
+            zkey,
+            readZKeySection: async (idSection) => {
+                if (idSection >= 5) await verified.done;
+                return await verified.section(idSection);
+            },
+            close,
+        };
+    } catch (err) {
+        await close();
+        throw err;
+    }
+}
 
-export default async function groth16Prove(zkeyFileName, witnessFileName, logger) {
+export async function readWitness(witnessFileName, logger) {
     const {fd: fdWtns, sections: sectionsWtns} = await readBinFile(witnessFileName, "wtns", 2, 1<<25, 1<<23);
 
     const wtns = await wtnsUtils.readHeader(fdWtns, sectionsWtns);
 
-    const {fd: fdZKey, sections: sectionsZKey} = await readBinFile(zkeyFileName, "zkey", 2, 1<<25, 1<<23);
+    if (logger) logger.debug("Reading Wtns");
+    const buffWitness = await readSection(fdWtns, sectionsWtns, 2);
+
+    await fdWtns.close();
+
+    return {wtns, buffWitness};
+}
 
-    const zkey = await zkeyUtils.readHeader(fdZKey, sectionsZKey);
+// Computes the proof for an already loaded witness. The zkey sections 4 to 9
+// are requested through readZKeySection(idSection) as they are needed, so
+// callers can either read them from the file or serve them from memory.
+export async function groth16ProveWitness(zkey, wtns, buffWitness, readZKeySection, logger, options) {
+    const signal = options && options.signal;
+    const onProgress = options && options.onProgress;
 
     if (zkey.protocol != "groth16") {
         throw new Error("zkey file is not groth16");
@@ -52,55 +195,109 @@ export default async function groth16Prove(zkeyFileName, witnessFileName, logger
 
     const power = log2(zkey.domainSize);
 
-    if (logger) logger.debug("Reading Wtns");
-    const buffWitness = await readSection(fdWtns, sectionsWtns, 2);
+    const memoryBudget = (options && options.memoryBudget) || DEFAULT_MEMORY_BUDGET;
+    const timings = [];
+    const startTime = Date.now();
+
+    throwIfAborted(signal);
     if (logger) logger.debug("Reading Coeffs");
-    const buffCoeffs = await readSection(fdZKey, sectionsZKey, 4);
+    const buffCoeffs = await readZKeySection(4);
 
     if (logger) logger.debug("Building ABC");
-    const [buffA_T, buffB_T, buffC_T] = await buildABC1(curve, zkey, buffWitness, buffCoeffs, logger);
-
-    const inc = power == Fr.s ? curve.Fr.shift : curve.Fr.w[power+1];
-
-    const buffA = await Fr.ifft(buffA_T, "", "", logger, "IFFT_A");
-    const buffAodd = await Fr.batchApplyKey(buffA, Fr.e(1), inc);
-    const buffAodd_T = await Fr.fft(buffAodd, "", "", logger, "FFT_A");
-
-    const buffB = await Fr.ifft(buffB_T, "", "", logger, "IFFT_B");
-    const buffBodd = await Fr.batchApplyKey(buffB, Fr.e(1), inc);
-    const buffBodd_T = await Fr.fft(buffBodd, "", "", logger, "FFT_B");
-
-    const buffC = await Fr.ifft(buffC_T, "", "", logger, "IFFT_C");
-    const buffCodd = await Fr.batchApplyKey(buffC, Fr.e(1), inc);
-    const buffCodd_T = await Fr.fft(buffCodd, "", "", logger, "FFT_C");
-
+    let t = Date.now();
+    const [buffA_T, buffB_T, buffC_T] = await buildABC1(curve, zkey, buffWitness, buffCoeffs, logger, signal, onProgress);
+    timings.push(`buildABC ${Date.now() - t}ms`);
+
+    const inc = oddCosetShift(Fr, power);
+    const useFftExtend = !!(options && options.fftExtend);
+
+    // The three coset FFT pipelines are independent. Each one holds about
+    // three domain sized buffers at a time.
+    throwIfAborted(signal);
+    let fftSteps = 0;
+    reportProgress(onProgress, "fft", "FFT", 0, 6);
+    const fftPipeline = (name, buff_T) => ({
+        cost: 3 * zkey.domainSize * Fr.n8,
+        run: useFftExtend ? async () => {
+            const buffOdd_T = await fftExtend(Fr, buff_T, logger, "FFT_" + name);
+            fftSteps += 2;
+            reportProgress(onProgress, "fft", "FFT_" + name, fftSteps, 6);
+            return buffOdd_T;
+        } : async () => {
+            const buff = await Fr.ifft(buff_T, "", "", logger, "IFFT_" + name);
+            const buffOdd = await Fr.batchApplyKey(buff, Fr.e(1), inc);
+            reportProgress(onProgress, "fft", "IFFT_" + name, ++fftSteps, 6);
+            throwIfAborted(signal);
+            const buffOdd_T = await Fr.fft(buffOdd, "", "", logger, "FFT_" + name);
+            reportProgress(onProgress, "fft", "FFT_" + name, ++fftSteps, 6);
+            return buffOdd_T;
+        }
+    });
+    const fft = await runWithinBudget([
+        fftPipeline("A", buffA_T),
+        fftPipeline("B", buffB_T),
+        fftPipeline("C", buffC_T),
+    ], memoryBudget, signal);
+    const [buffAodd_T, buffBodd_T, buffCodd_T] = fft.results;
+    timings.push(`FFT ${fft.time}ms (speedup ${fft.speedup}x)`);
+
+    throwIfAborted(signal);
     if (logger) logger.debug("Join ABC");
-    const buffPodd_T = await joinABC(curve, zkey, buffAodd_T, buffBodd_T, buffCodd_T, logger);
+    t = Date.now();
+    const buffPodd_T = await joinABC(curve, zkey, buffAodd_T, buffBodd_T, buffCodd_T, logger, signal, onProgress);
+    timings.push(`joinABC ${Date.now() - t}ms`);
 
     let proof = {};
 
-    if (logger) logger.debug("Reading A Points");
-    const buffBasesA = await readSection(fdZKey, sectionsZKey, 5);
-    proof.pi_a = await curve.G1.multiExpAffine(buffBasesA, buffWitness, logger, "multiexp A");
-
-    if (logger) logger.debug("Reading B1 Points");
-    const buffBasesB1 = await readSection(fdZKey, sectionsZKey, 6);
-    let pib1 = await curve.G1.multiExpAffine(buffBasesB1, buffWitness, logger, "multiexp B1");
-
-    if (logger) logger.debug("Reading B2 Points");
-    const buffBasesB2 = await readSection(fdZKey, sectionsZKey, 7);
-    proof.pi_b = await curve.G2.multiExpAffine(buffBasesB2, buffWitness, logger, "multiexp B2");
-
-    if (logger) logger.debug("Reading C Points");
-    const buffBasesC = await readSection(fdZKey, sectionsZKey, 8);
-    proof.pi_c = await curve.G1.multiExpAffine(buffBasesC, buffWitness.slice((zkey.nPublic+1)*curve.Fr.n8), logger, "multiexp C");
-
-    if (logger) logger.debug("Reading H Points");
-    const buffBasesH = await readSection(fdZKey, sectionsZKey, 9);
-    const resH = await curve.G1.multiExpAffine(buffBasesH, buffPodd_T, logger, "multiexp H");
+    let partition = null;
+    if (!(options && options.sparseWitness === false)) {
+        t = Date.now();
+        partition = partitionWitness(buffWitness, Fr.n8);
+        timings.push(`partition ${Date.now() - t}ms`);
+        if (logger) logger.debug(`Witness: ${partition.nZeros} zero, ${partition.nOnes} one and ${partition.nGeneral} general scalars`);
+    }
 
-    const r = curve.Fr.random();
-    const s = curve.Fr.random();
+    // The multiexps of sections 5 to 9 are independent too. Their cost is
+    // the size of their points, twice when the bases of the general scalars
+    // are copied apart.
+    throwIfAborted(signal);
+    const sG1 = G1.F.n8*2;
+    const sG2 = G2.F.n8*2;
+    let multiExpsDone = 0;
+    reportProgress(onProgress, "multiexp", "multiexp", 0, 5);
+    const sparse = (partition) && (partition.nGeneral < partition.n);
+    const multiExp = (idSection, name, G, nPoints, sPoint, compute) => ({
+        cost: nPoints * sPoint * ((sparse && (compute !== multiExpH)) ? 2 : 1),
+        run: async () => {
+            if (logger) logger.debug(`Reading ${name} Points`);
+            const buffBases = await readZKeySection(idSection);
+            const res = await compute(G, buffBases, "multiexp " + name);
+            reportProgress(onProgress, "multiexp", "multiexp " + name, ++multiExpsDone, 5);
+            return res;
+        }
+    });
+    // A, B1, B2 and C take the witness from the signal `from` on
+    const multiExpWitness = (from) => (G, buffBases, loggerTxt) => partition ?
+        sparseMultiExp(G, buffBases, buffWitness, partition, from, logger, loggerTxt) :
+        G.multiExpAffine(buffBases, from ? buffWitness.slice(from*Fr.n8) : buffWitness, logger, loggerTxt);
+    const multiExpH = (G, buffBases, loggerTxt) => G.multiExpAffine(buffBases, buffPodd_T, logger, loggerTxt);
+    const multiExps = await runWithinBudget([
+        multiExp(5, "A", G1, zkey.nVars, sG1, multiExpWitness(0)),
+        multiExp(6, "B1", G1, zkey.nVars, sG1, multiExpWitness(0)),
+        multiExp(7, "B2", G2, zkey.nVars, sG2, multiExpWitness(0)),
+        multiExp(8, "C", G1, zkey.nVars - zkey.nPublic - 1, sG1, multiExpWitness(zkey.nPublic+1)),
+        multiExp(9, "H", G1, zkey.domainSize, sG1, multiExpH),
+    ], memoryBudget, signal);
+    let pib1;
+    let resH;
+    [proof.pi_a, pib1, proof.pi_b, proof.pi_c, resH] = multiExps.results;
+    timings.push(`multiexp ${multiExps.time}ms (speedup ${multiExps.speedup}x)`);
+
+    if (logger) logger.debug(`Timings: ${timings.join(", ")}, total ${Date.now() - startTime}ms`);
+
+    throwIfAborted(signal);
+
+    const {r, s} = getBlindingFactors(Fr, options, logger);
 
     proof.pi_a  = G1.add( proof.pi_a, zkey.vk_alpha_1 );
     proof.pi_a  = G1.add( proof.pi_a, G1.timesFr( zkey.vk_delta_1, r ));
@@ -133,9 +330,6 @@ export default async function groth16Prove(zkeyFileName, witnessFileName, logger
     proof.protocol = "groth16";
     proof.curve = curve.name;
 
-    await fdZKey.close();
-    await fdWtns.close();
-
     proof = stringifyBigInts(proof);
     publicSignals = stringifyBigInts(publicSignals);
 
@@ -143,49 +337,262 @@ export default async function groth16Prove(zkeyFileName, witnessFileName, logger
 }
 
 
-async function buildABC1(curve, zkey, witness, coeffs, logger) {
+function getBlindingFactors(Fr, options, logger) {
+    options = options || {};
+
+    if (options.insecureDeterministic) {
+        if ((typeof options.r !== "undefined") || (typeof options.s !== "undefined") || (options.rng)) {
+            throw new Error("insecureDeterministic can not be combined with r, s or rng");
+        }
+        if (logger) logger.warn("insecureDeterministic is set: the proof is NOT zero-knowledge");
+        return {r: Fr.zero, s: Fr.zero};
+    }
+
+    const drawRandom = options.rng ? () => Fr.fromRng(options.rng) : () => Fr.random();
+
+    const r = (typeof options.r !== "undefined") ? Fr.e(options.r) : drawRandom();
+    const s = (typeof options.s !== "undefined") ? Fr.e(options.s) : drawRandom();
+
+    return {r, s};
+}
+
+export function reportProgress(onProgress, phase, label, done, total) {
+    if (onProgress) onProgress({phase, label, done, total});
+}
+
+// Evaluates the QAP polynomials A, B and C = A·B at the points of the domain
+// in the workers (qap_buildABC). The domain is split in chunks and the
+// coefficients of section 4 are distributed to the chunk they go to, so each
+// task only gets its own coefficients. Large witnesses are sent in windows: a
+// task only accumulates the coefficients of the signals in its window, and the
+// partial A and B of the windows are added (qap_batchAdd) before C is computed.
+async function buildABC1(curve, zkey, witness, coeffs, logger, signal, onProgress) {
     const n8 = curve.Fr.n8;
     const sCoef = 4*3 + zkey.n8r;
     const nCoef = (coeffs.byteLength-4) / sCoef;
+    const domainSize = zkey.domainSize;
+
+    let nChunks = Math.max(curve.tm.concurrency, Math.ceil(domainSize / MAX_QAP_CHUNK_SIZE));
+    nChunks = Math.min(nChunks, domainSize);
+    const chunkSize = Math.ceil(domainSize / nChunks);
+    nChunks = Math.ceil(domainSize / chunkSize);
+
+    const nWitness = zkey.nVars;
+    const nWindows = Math.ceil(nWitness / MAX_QAP_WITNESS_WINDOW);
+
+    if (logger) logger.debug(`QAP: ${nCoef} coefficients, ${nChunks} chunks, ${nWindows} witness windows`);
+    const chunkCoeffs = await splitCoeffs(coeffs, nCoef, sCoef, chunkSize, nChunks, signal);
+
+    const total = nChunks * (nWindows + (nWindows > 1 ? 1 : 0));
+    let done = 0;
+    reportProgress(onProgress, "buildABC", "QAP", 0, total);
+    const taskDone = (r) => {
+        done++;
+        reportProgress(onProgress, "buildABC", "QAP", done, total);
+        return r;
+    };
+
+    // [A, B, C] of each chunk. C is only right when there is a single window
+    let acc = null;
+    for (let w=0; w<nWindows; w++) {
+        throwIfAborted(signal);
+        const s = w * MAX_QAP_WITNESS_WINDOW;
+        const ns = Math.min(nWitness - s, MAX_QAP_WITNESS_WINDOW);
+        if (logger) logger.debug(`QAP witness window ${w+1}/${nWindows}`);
+        const buffWitness = witness.slice(s*n8, (s+ns)*n8);
+
+        const promises = [];
+        for (let i=0; i<nChunks; i++) {
+            const o = i*chunkSize;
+            const n = Math.min(domainSize - o, chunkSize);
+            const task = [];
+            task.push({cmd: "ALLOCSET", var: 0, buff: chunkCoeffs[i]});
+            task.push({cmd: "ALLOCSET", var: 1, buff: buffWitness});
+            task.push({cmd: "ALLOC", var: 2, len: n*n8});
+            task.push({cmd: "ALLOC", var: 3, len: n*n8});
+            task.push({cmd: "ALLOC", var: 4, len: n*n8});
+            task.push({cmd: "CALL", fnName: "qap_buildABC", params:[
+                {var: 0},
+                {val: chunkCoeffs[i].byteLength / sCoef},
+                {var: 1},
+                {var: 2},
+                {var: 3},
+                {var: 4},
+                {val: o},
+                {val: n},
+                {val: s},
+                {val: ns}
+            ]});
+            task.push({cmd: "GET", out: 0, var: 2, len: n*n8});
+            task.push({cmd: "GET", out: 1, var: 3, len: n*n8});
+            if (nWindows == 1) task.push({cmd: "GET", out: 2, var: 4, len: n*n8});
+            promises.push(curve.tm.queueAction(task).then(taskDone));
+        }
+        const res = await Promise.all(promises);
+
+        if (acc === null) {
+            acc = res;
+        } else {
+            const sums = [];
+            for (let i=0; i<nChunks; i++) {
+                sums.push(Promise.all([
+                    batchAdd(curve, acc[i][0], res[i][0]),
+                    batchAdd(curve, acc[i][1], res[i][1]),
+                ]));
+            }
+            acc = await Promise.all(sums);
+        }
+    }
 
-    const outBuffA = new BigBuffer(zkey.domainSize * n8);
-    const outBuffB = new BigBuffer(zkey.domainSize * n8);
-    const outBuffC = new BigBuffer(zkey.domainSize * n8);
-
-    const outBuf = [ outBuffA, outBuffB ];
-    for (let i=0; i<nCoef; i++) {
-        if ((logger)&&(i%1000000 == 0)) logger.debug(`QAP AB: ${i}/${nCoef}`);
-        const buffCoef = coeffs.slice(4+i*sCoef, 4+i*sCoef+sCoef);
-        const buffCoefV = new DataView(buffCoef.buffer);
-        const m= buffCoefV.getUint32(0, true);
-        const c= buffCoefV.getUint32(4, true);
-        const s= buffCoefV.getUint32(8, true);
-        const coef = buffCoef.slice(12, 12+n8);
-        outBuf[m].set(
-            curve.Fr.add(
-                outBuf[m].slice(c*n8, c*n8+n8),
-                curve.Fr.mul(coef, witness.slice(s*n8, s*n8+n8))
-            ),
-            c*n8
-        );
+    if (nWindows > 1) {
+        throwIfAborted(signal);
+        const promises = [];
+        for (let i=0; i<nChunks; i++) {
+            const n = acc[i][0].byteLength / n8;
+            const task = [];
+            task.push({cmd: "ALLOCSET", var: 0, buff: acc[i][0]});
+            task.push({cmd: "ALLOCSET", var: 1, buff: acc[i][1]});
+            task.push({cmd: "ALLOCSET", var: 2, buff: new Uint8Array(n*n8)});
+            task.push({cmd: "ALLOC", var: 3, len: n*n8});
+            // A·B - 0
+            task.push({cmd: "CALL", fnName: "qap_joinABC", params:[
+                {var: 0},
+                {var: 1},
+                {var: 2},
+                {val: n},
+                {var: 3},
+            ]});
+            task.push({cmd: "GET", out: 0, var: 3, len: n*n8});
+            promises.push(curve.tm.queueAction(task).then(taskDone));
+        }
+        const res = await Promise.all(promises);
+        for (let i=0; i<nChunks; i++) acc[i][2] = res[i][0];
     }
 
-    for (let i=0; i<zkey.domainSize; i++) {
-        if ((logger)&&(i%1000000 == 0)) logger.debug(`QAP C: ${i}/${zkey.domainSize}`);
-        outBuffC.set(
-            curve.Fr.mul(
-                outBuffA.slice(i*n8, i*n8+n8),
-                outBuffB.slice(i*n8, i*n8+n8),
-            ),
-            i*n8
-        );
+    throwIfAborted(signal);
+
+    const outBuffA = new BigBuffer(domainSize * n8);
+    const outBuffB = new BigBuffer(domainSize * n8);
+    const outBuffC = new BigBuffer(domainSize * n8);
+    for (let i=0; i<nChunks; i++) {
+        outBuffA.set(acc[i][0], i*chunkSize*n8);
+        outBuffB.set(acc[i][1], i*chunkSize*n8);
+        outBuffC.set(acc[i][2], i*chunkSize*n8);
     }
 
     return [outBuffA, outBuffB, outBuffC];
+}
 
+// Runs jobs ({cost, run}) concurrently, starting them in order while the
+// cost of the running ones fits in budget. A job that does not fit runs alone.
+// Resolves with their results in order, the time it took and the speedup over
+// the sum of the times of the jobs. On error, it rejects once the running jobs
+// are done.
+function runWithinBudget(jobs, budget, signal) {
+    return new Promise((resolve, reject) => {
+        const results = new Array(jobs.length);
+        const start = Date.now();
+        let jobsTime = 0;
+        let used = 0;
+        let running = 0;
+        let next = 0;
+        let error = null;
+
+        const schedule = () => {
+            if (running == 0) {
+                if (error) return reject(error);
+                if (next == jobs.length) {
+                    const time = Date.now() - start;
+                    return resolve({results, time, speedup: (time > 0 ? jobsTime / time : 1).toFixed(2)});
+                }
+            }
+            while ((!error) && (next < jobs.length) && ((running == 0) || (used + jobs[next].cost <= budget))) {
+                const i = next++;
+                const jobStart = Date.now();
+                used += jobs[i].cost;
+                running++;
+                Promise.resolve().then( () => {
+                    throwIfAborted(signal);
+                    return jobs[i].run();
+                }).then( (r) => {
+                    results[i] = r;
+                }, (err) => {
+                    if (!error) error = err;
+                }).then( () => {
+                    jobsTime += Date.now() - jobStart;
+                    used -= jobs[i].cost;
+                    running--;
+                    schedule();
+                });
+            }
+        };
+        schedule();
+    });
 }
 
-async function joinABC(curve, zkey, a, b, c, logger) {
+async function batchAdd(curve, a, b) {
+    const n8 = curve.Fr.n8;
+    const n = a.byteLength / n8;
+    const task = [];
+    task.push({cmd: "ALLOCSET", var: 0, buff: a});
+    task.push({cmd: "ALLOCSET", var: 1, buff: b});
+    task.push({cmd: "ALLOC", var: 2, len: n*n8});
+    task.push({cmd: "CALL", fnName: "qap_batchAdd", params:[
+        {var: 0},
+        {var: 1},
+        {val: n},
+        {var: 2},
+    ]});
+    task.push({cmd: "GET", out: 0, var: 2, len: n*n8});
+    const res = await curve.tm.queueAction(task);
+    return res[0];
+}
+
+// Returns the coefficients of section 4 that go to each chunk of the domain.
+// Section 4 lists the coefficients of A and then the ones of B, each sorted by
+// constraint, so they are copied in runs of consecutive coefficients of the
+// same chunk.
+async function splitCoeffs(coeffs, nCoef, sCoef, chunkSize, nChunks, signal) {
+    const forEachBlock = async (fn) => {
+        for (let i=0; i<nCoef; i+=CHECKPOINT_INTERVAL) {
+            if (signal) {
+                await yieldToEventLoop();
+                throwIfAborted(signal);
+            }
+            const n = Math.min(nCoef - i, CHECKPOINT_INTERVAL);
+            const block = coeffs.slice(4 + i*sCoef, 4 + (i+n)*sCoef);
+            fn(block, new DataView(block.buffer, block.byteOffset, block.byteLength), n);
+        }
+    };
+
+    const counts = new Array(nChunks).fill(0);
+    await forEachBlock( (block, blockV, n) => {
+        for (let k=0; k<n; k++) {
+            counts[Math.floor(blockV.getUint32(k*sCoef + 4, true) / chunkSize)]++;
+        }
+    });
+
+    const chunkCoeffs = counts.map( (count) => new Uint8Array(count*sCoef) );
+    const pos = new Array(nChunks).fill(0);
+    await forEachBlock( (block, blockV, n) => {
+        let runStart = 0;
+        let runChunk = -1;
+        for (let k=0; k<=n; k++) {
+            const chunk = (k<n) ? Math.floor(blockV.getUint32(k*sCoef + 4, true) / chunkSize) : -1;
+            if (chunk == runChunk) continue;
+            if (runChunk >= 0) {
+                chunkCoeffs[runChunk].set(block.subarray(runStart*sCoef, k*sCoef), pos[runChunk]);
+                pos[runChunk] += (k - runStart)*sCoef;
+            }
+            runStart = k;
+            runChunk = chunk;
+        }
+    });
+
+    return chunkCoeffs;
+}
+
+async function joinABC(curve, zkey, a, b, c, logger, signal, onProgress) {
     const MAX_CHUNK_SIZE = 1 << 22;
 
     const n8 = curve.Fr.n8;
@@ -193,8 +600,13 @@ async function joinABC(curve, zkey, a, b, c, logger) {
 
     const promises = [];
 
+    const nChunks = Math.ceil(nElements / MAX_CHUNK_SIZE);
+    let chunksDone = 0;
+    reportProgress(onProgress, "joinABC", "JoinABC", 0, nChunks);
+
     for (let i=0; i<nElements; i += MAX_CHUNK_SIZE) {
         if (logger) logger.debug(`JoinABC: ${i}/${nElements}`);
+        throwIfAborted(signal);
         const n= Math.min(nElements - i, MAX_CHUNK_SIZE);
 
         const task = [];
@@ -220,11 +632,17 @@ async function joinABC(curve, zkey, a, b, c, logger) {
             {var: 3}
         ]});
         task.push({cmd: "GET", out: 0, var: 3, len: n*n8});
-        promises.push(curve.tm.queueAction(task));
+        promises.push(curve.tm.queueAction(task).then( (r) => {
+            chunksDone++;
+            reportProgress(onProgress, "joinABC", "JoinABC", chunksDone, nChunks);
+            return r;
+        }));
     }
 
     const result = await Promise.all(promises);
 
+    throwIfAborted(signal);
+
     let outBuff;
     if (a instanceof BigBuffer) {
         outBuff = new BigBuffer(a.byteLength);
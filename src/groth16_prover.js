@@ -0,0 +1,105 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { groth16ProveWitness, openZKey, readWitness, reportProgress } from "./groth16_prove.js";
+import wtns_calculate from "./wtns_calculate.js";
+import { throwIfAborted } from "./misc.js";
+import { parseDigest } from "./integrity.js";
+import { utils } from "ffjavascript";
+const {unstringifyBigInts} = utils;
+
+// Parses the zkey once and keeps its header, curve and the proving sections
+// (4 to 9) in memory, so several witnesses can be proven against the same
+// circuit without reopening the file. Call dispose() when done: it drops the
+// buffers and gives back the prover's reference to the curve (see curves.js).
+// options.singleThread and options.maxWorkers configure the curve as in
+// groth16Prove. options.zkeyDigest is checked once, while the sections are
+// read, so it is given here and not to prove() or fullProve().
+export default async function groth16CreateProver(zkeyFileName, logger, options) {
+    const zkeyDigest = options && options.zkeyDigest;
+    if (zkeyDigest) parseDigest(zkeyDigest);
+
+    const {zkey, readZKeySection, close} = await openZKey(zkeyFileName, zkeyDigest, logger, options);
+
+    let buffSections = [];
+    try {
+        if (zkey.protocol != "groth16") {
+            throw new Error("zkey file is not groth16");
+        }
+
+        for (let i=4; i<=9; i++) {
+            if (logger) logger.debug(`Reading zkey section ${i}`);
+            buffSections[i] = await readZKeySection(i);
+        }
+    } catch (err) {
+        await zkey.curve.terminate();
+        throw err;
+    } finally {
+        await close();
+    }
+
+    function checkNotDisposed() {
+        if (!buffSections) throw new Error("Prover has been disposed");
+    }
+
+    return {
+        zkey,
+        curve: zkey.curve,
+
+        async prove(witnessFileName, options) {
+            checkNotDisposed();
+            checkProveOptions(options);
+            throwIfAborted(options && options.signal);
+            const {wtns, buffWitness} = await readWitness(witnessFileName, logger);
+
+            checkNotDisposed();
+            const buffs = buffSections;
+            return await groth16ProveWitness(zkey, wtns, buffWitness, async (idSection) => buffs[idSection], logger, options);
+        },
+
+        async fullProve(_input, wasmFile, options) {
+            checkNotDisposed();
+            checkProveOptions(options);
+            throwIfAborted(options && options.signal);
+            const input = unstringifyBigInts(_input);
+
+            // Kept in chunks, the prover does not need it in a single buffer
+            const wtns= {
+                type: "bigMem"
+            };
+            const onProgress = options && options.onProgress;
+            reportProgress(onProgress, "witness", "Witness", 0, 1);
+            await wtns_calculate(input, wasmFile, wtns, {wasmDigest: options && options.wasmDigest});
+            reportProgress(onProgress, "witness", "Witness", 1, 1);
+            return await this.prove(wtns, options);
+        },
+
+        async dispose() {
+            if (!buffSections) return;
+            buffSections = null;
+            await zkey.curve.terminate();
+        }
+    };
+}
+
+function checkProveOptions(options) {
+    if (options && options.zkeyDigest) {
+        throw new Error("zkeyDigest is checked when the prover is created: pass it to createProver");
+    }
+}
@@ -0,0 +1,150 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { AbortError, IntegrityError } from "./misc.js";
+
+// Runs groth16 fullProve in a worker, so neither the witness calculation nor
+// the proof block the calling thread. worker is a Worker running worker.js
+// (build/snarkjs_worker.js in the browser build), or the URL of that script.
+//
+// options:
+//   type: type of the Worker created from a URL ("classic" or "module")
+//
+// fullProve(input, wasm, zkey, options) takes the same options as
+// groth16.fullProve, except rng. options.onProgress and options.signal are
+// relayed to and from the worker. wasm and zkey given as Uint8Array (or
+// {type: "mem", data}) are transferred to the worker, which detaches their
+// buffers, unless options.transfer is false. URLs are fetched by the worker.
+export default function groth16CreateProverWorker(worker, options) {
+    if ((typeof worker === "string") || (worker instanceof globalThis.URL)) {
+        worker = new globalThis.Worker(worker, (options && options.type) ? {type: options.type} : undefined);
+    }
+
+    const pending = new Map();
+    let nextId = 0;
+    let terminated = false;
+
+    function settle(id) {
+        const request = pending.get(id);
+        if (!request) return null;
+        pending.delete(id);
+        if (request.signal) request.signal.removeEventListener("abort", request.onAbort);
+        return request;
+    }
+
+    function rejectAll(err) {
+        for (const id of Array.from(pending.keys())) settle(id).reject(err);
+    }
+
+    worker.addEventListener("message", (e) => {
+        const msg = e.data;
+        if (msg.type == "progress") {
+            const request = pending.get(msg.id);
+            if (request && request.onProgress) request.onProgress(msg.event);
+        } else if (msg.type == "result") {
+            const request = settle(msg.id);
+            if (request) request.resolve({proof: msg.proof, publicSignals: msg.publicSignals});
+        } else if (msg.type == "error") {
+            const request = settle(msg.id);
+            if (request) request.reject(deserializeError(msg.error));
+        }
+    });
+
+    worker.addEventListener("error", (e) => {
+        rejectAll(new Error(`Prover worker error: ${(e && e.message) || "unknown error"}`));
+    });
+
+    return {
+        worker,
+
+        fullProve(input, wasm, zkey, options) {
+            return new Promise((resolve, reject) => {
+                if (terminated) throw new Error("Prover worker has been terminated");
+                const signal = options && options.signal;
+                if (signal && signal.aborted) throw new AbortError(signal.reason);
+                if (options && options.rng) throw new Error("rng cannot be passed to a prover worker");
+
+                const workerOptions = {};
+                for (const key of Object.keys(options || {})) {
+                    if (["signal", "onProgress", "transfer"].includes(key)) continue;
+                    workerOptions[key] = options[key];
+                }
+
+                const transfers = [];
+                if (!(options && options.transfer === false)) {
+                    wasm = transferable(wasm, transfers);
+                    zkey = transferable(zkey, transfers);
+                }
+
+                const id = nextId++;
+                const request = {resolve, reject, signal, onProgress: options && options.onProgress};
+                if (signal) {
+                    // Rejected right away. The worker stops at its next checkpoint
+                    request.onAbort = () => {
+                        settle(id);
+                        worker.postMessage({type: "abort", id});
+                        reject(new AbortError(signal.reason));
+                    };
+                    signal.addEventListener("abort", request.onAbort);
+                }
+                pending.set(id, request);
+
+                worker.postMessage({
+                    type: "fullProve",
+                    id,
+                    input,
+                    wasm,
+                    zkey,
+                    options: workerOptions,
+                    progress: !!request.onProgress,
+                }, transfers);
+            });
+        },
+
+        terminate() {
+            if (terminated) return;
+            terminated = true;
+            worker.terminate();
+            rejectAll(new Error("Prover worker has been terminated"));
+        }
+    };
+}
+
+// Adds the buffer of data to transfers. Views on a part of a buffer are copied
+// first, so the rest of the buffer is neither sent nor detached.
+function transferable(data, transfers) {
+    if (data instanceof Uint8Array) {
+        if ((data.byteOffset != 0) || (data.byteLength != data.buffer.byteLength)) data = data.slice();
+        if (!transfers.includes(data.buffer)) transfers.push(data.buffer);
+        return data;
+    }
+    if (data && (data.type == "mem") && (data.data instanceof Uint8Array)) {
+        return {...data, data: transferable(data.data, transfers)};
+    }
+    return data;
+}
+
+function deserializeError(error) {
+    if (error.name == "AbortError") return new AbortError();
+    if (error.name == "IntegrityError") return new IntegrityError(error.artifact, error.expected, error.actual);
+
+    const err = new Error(error.message);
+    err.name = error.name;
+    return err;
+}
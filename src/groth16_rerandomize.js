@@ -0,0 +1,76 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { getCurveFromName } from "./curves.js";
+import { utils } from "ffjavascript";
+const {stringifyBigInts, unstringifyBigInts} = utils;
+
+// Returns a new proof for the same statement that can not be linked to the
+// original one. For random r1, r2:
+//     A' = A/r1
+//     B' = r1*B + r1*r2*delta
+//     C' = C + r2*A
+// e(A', B') = e(A, B) * e(A, delta)^r2 and e(C', delta) = e(C, delta) * e(A, delta)^r2,
+// so the verification equation still holds.
+//
+// options:
+//   rng: random generator with a nextU64() method used instead of the default source.
+export default async function groth16Rerandomize(_proof, _vk_verifier, options) {
+    const proof = unstringifyBigInts(_proof);
+    const vk_verifier = unstringifyBigInts(_vk_verifier);
+
+    if ((proof.curve) && (proof.curve != vk_verifier.curve)) {
+        throw new Error(`Curve of the proof (${proof.curve}) does not match the curve of the verification key (${vk_verifier.curve})`);
+    }
+
+    const curve = await getCurveFromName(vk_verifier.curve);
+    try {
+        const Fr = curve.Fr;
+        const G1 = curve.G1;
+        const G2 = curve.G2;
+
+        const rng = options && options.rng;
+        let r1;
+        do {
+            r1 = rng ? Fr.fromRng(rng) : Fr.random();
+        } while (Fr.isZero(r1));
+        const r2 = rng ? Fr.fromRng(rng) : Fr.random();
+
+        const pi_a = G1.fromObject(proof.pi_a);
+        const pi_b = G2.fromObject(proof.pi_b);
+        const pi_c = G1.fromObject(proof.pi_c);
+        const vk_delta_2 = G2.fromObject(vk_verifier.vk_delta_2);
+
+        const newPi_a = G1.timesFr(pi_a, Fr.inv(r1));
+        const newPi_b = G2.add(G2.timesFr(pi_b, r1), G2.timesFr(vk_delta_2, Fr.mul(r1, r2)));
+        const newPi_c = G1.add(pi_c, G1.timesFr(pi_a, r2));
+
+        const newProof = {
+            pi_a: G1.toObject(G1.toAffine(newPi_a)),
+            pi_b: G2.toObject(G2.toAffine(newPi_b)),
+            pi_c: G1.toObject(G1.toAffine(newPi_c)),
+            protocol: "groth16",
+            curve: curve.name
+        };
+
+        return stringifyBigInts(newProof);
+    } finally {
+        await curve.terminate();
+    }
+}
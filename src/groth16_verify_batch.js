@@ -0,0 +1,199 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { utils } from "ffjavascript";
+import { getCurveFromName } from "./curves.js";
+import { isWellConstructed, publicInputsAreValid } from "./groth16_verify.js";
+const {unstringifyBigInts} = utils;
+
+// Maximum number of proofs folded in a single pairingEq call
+const MAX_BATCH_SIZE = 1 << 12;
+
+// Verifies many proofs for the same verification key at once.
+//
+// Each proof i is weighted with a random z_i and the N verification equations
+// are folded into a single one:
+//
+//     prod_i e(z_i*A_i, B_i) == e(sum_i(z_i)*alpha, beta) * e(sum_i(z_i*pub_i), gamma) * e(sum_i(z_i*C_i), delta)
+//
+// sum_i(z_i*pub_i) is computed with one multiexp over the IC points and
+// sum_i(z_i*C_i) with one multiexp over the C points, so the whole batch is
+// checked with a single pairingEq of N+3 pairs instead of N pairingEq of 4
+// pairs each.
+//
+// Cost: the B_i are different G2 points, so the pairs e(z_i*A_i, B_i) can not
+// be folded further and the batch still takes one Miller loop per proof (plus
+// 3). What is saved is the final exponentiation, done once per batch instead
+// of once per proof, and 3 of the 4 Miller loops of each proof. An invalid
+// batch costs more, as its halves are checked again.
+//
+// Batches larger than MAX_BATCH_SIZE are checked in chunks of that size.
+// If the folded equation does not hold, the batch is split in halves
+// recursively to find the offending proofs.
+//
+// items: [{publicSignals, proof}, ...]
+// options:
+//   rng: random generator with a nextU64() method used instead of the default source.
+//
+// Returns {valid, invalid} where invalid holds the indexes of the failing proofs.
+export default async function groth16VerifyBatch(_vk_verifier, items, logger, options) {
+    const vk_verifier = unstringifyBigInts(_vk_verifier);
+
+    const curve = await getCurveFromName(vk_verifier.curve);
+    try {
+        return await verifyBatch(curve, vk_verifier, items, logger, options);
+    } finally {
+        await curve.terminate();
+    }
+}
+
+async function verifyBatch(curve, vk_verifier, items, logger, options) {
+    const Fr = curve.Fr;
+    const G1 = curve.G1;
+    const G2 = curve.G2;
+    const sG1 = G1.F.n8*2;
+
+    const nPublic = vk_verifier.IC.length - 1;
+
+    const vk = {
+        IC: new Uint8Array(sG1 * (nPublic+1)),
+        vk_alpha_1: G1.fromObject(vk_verifier.vk_alpha_1),
+        vk_beta_2: G2.fromObject(vk_verifier.vk_beta_2),
+        vk_gamma_2: G2.fromObject(vk_verifier.vk_gamma_2),
+        vk_delta_2: G2.fromObject(vk_verifier.vk_delta_2),
+    };
+    for (let i=0; i<=nPublic; i++) {
+        vk.IC.set(G1.fromObject(vk_verifier.IC[i]), i*sG1);
+    }
+
+    const invalid = [];
+    const candidates = [];
+
+    for (let i=0; i<items.length; i++) {
+        const publicSignals = unstringifyBigInts(items[i].publicSignals);
+        const proof = unstringifyBigInts(items[i].proof);
+
+        if (publicSignals.length != nPublic) {
+            if (logger) logger.error(`Proof ${i}: Invalid number of public inputs. Expected: ${nPublic}, got: ${publicSignals.length}`);
+            invalid.push(i);
+            continue;
+        }
+
+        if (!publicInputsAreValid(curve, publicSignals)) {
+            if (logger) logger.error(`Proof ${i}: Public inputs are not valid.`);
+            invalid.push(i);
+            continue;
+        }
+
+        const p = {
+            idx: i,
+            publicSignals: publicSignals.map( (s) => Fr.e(s) ),
+            pi_a: G1.fromObject(proof.pi_a),
+            pi_b: G2.fromObject(proof.pi_b),
+            pi_c: G1.fromObject(proof.pi_c),
+        };
+
+        if (!isWellConstructed(curve, p)) {
+            if (logger) logger.error(`Proof ${i}: Proof commitments are not valid.`);
+            invalid.push(i);
+            continue;
+        }
+
+        const rng = options && options.rng;
+        p.z = rng ? Fr.fromRng(rng) : Fr.random();
+
+        candidates.push(p);
+    }
+
+    for (let i=0; i<candidates.length; i+= MAX_BATCH_SIZE) {
+        if (logger) logger.debug(`Verifying batch: ${i}/${candidates.length}`);
+        await findInvalid(candidates.slice(i, i+MAX_BATCH_SIZE));
+    }
+
+    invalid.sort((a, b) => a - b);
+
+    if (invalid.length == 0) {
+        if (logger) logger.info("OK!");
+    } else {
+        if (logger) logger.error(`Invalid proofs: ${invalid.join(", ")}`);
+    }
+
+    return {
+        valid: invalid.length == 0,
+        invalid
+    };
+
+    async function findInvalid(proofs) {
+        if (proofs.length == 0) return;
+
+        if (await batchIsValid(curve, vk, proofs)) return;
+
+        if (proofs.length == 1) {
+            if (logger) logger.error(`Proof ${proofs[0].idx}: Invalid proof`);
+            invalid.push(proofs[0].idx);
+            return;
+        }
+
+        if (logger) logger.debug(`Batch of ${proofs.length} proofs failed, splitting`);
+        const half = Math.floor(proofs.length / 2);
+        await findInvalid(proofs.slice(0, half));
+        await findInvalid(proofs.slice(half));
+    }
+}
+
+async function batchIsValid(curve, vk, proofs) {
+    const Fr = curve.Fr;
+    const G1 = curve.G1;
+    const sG1 = G1.F.n8*2;
+    const nPublic = vk.IC.byteLength / sG1 - 1;
+
+    // Scalars of the IC multiexp: sum_i(z_i) for IC[0] and sum_i(z_i*x_ij) for IC[j]
+    const accPub = new Array(nPublic+1).fill(Fr.zero);
+    const buffC = new Uint8Array(sG1 * proofs.length);
+    const buffZ = new Uint8Array(Fr.n8 * proofs.length);
+
+    const pairs = [];
+    for (let i=0; i<proofs.length; i++) {
+        const p = proofs[i];
+        accPub[0] = Fr.add(accPub[0], p.z);
+        for (let j=0; j<nPublic; j++) {
+            accPub[j+1] = Fr.add(accPub[j+1], Fr.mul(p.z, p.publicSignals[j]));
+        }
+        buffC.set(G1.toAffine(p.pi_c), i*sG1);
+        Fr.toRprLE(buffZ, i*Fr.n8, p.z);
+
+        pairs.push(G1.neg(G1.timesFr(p.pi_a, p.z)), p.pi_b);
+    }
+
+    const buffPub = new Uint8Array(Fr.n8 * (nPublic+1));
+    for (let j=0; j<=nPublic; j++) {
+        Fr.toRprLE(buffPub, j*Fr.n8, accPub[j]);
+    }
+
+    const cpub = await G1.multiExpAffine(vk.IC, buffPub);
+    const c = await G1.multiExpAffine(buffC, buffZ);
+    const alpha = G1.timesFr(vk.vk_alpha_1, accPub[0]);
+
+    return await curve.pairingEq(
+        ...pairs,
+        cpub, vk.vk_gamma_2,
+        c, vk.vk_delta_2,
+        alpha, vk.vk_beta_2
+    );
+}
@@ -0,0 +1,70 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import groth16FullProve from "./groth16_fullprove.js";
+
+// Worker side of createProverWorker (see groth16_prover_worker.js). Serves the
+// requests posted to scope, the global scope of the worker:
+//
+//   {type: "fullProve", id, input, wasm, zkey, options, progress}
+//   {type: "abort", id}
+//
+// and answers with {type: "progress", id, event} messages (only when progress
+// is set) followed by {type: "result", id, proof, publicSignals} or
+// {type: "error", id, error}.
+export default function installProverWorker(scope) {
+    const controllers = new Map();
+
+    scope.addEventListener("message", async (e) => {
+        const msg = e.data;
+
+        if (msg.type == "abort") {
+            const controller = controllers.get(msg.id);
+            if (controller) controller.abort();
+            return;
+        }
+        if (msg.type != "fullProve") return;
+
+        const controller = new AbortController();
+        controllers.set(msg.id, controller);
+        try {
+            const {proof, publicSignals} = await groth16FullProve(msg.input, msg.wasm, msg.zkey, undefined, {
+                ...msg.options,
+                signal: controller.signal,
+                onProgress: msg.progress ? (event) => scope.postMessage({type: "progress", id: msg.id, event}) : undefined,
+            });
+            scope.postMessage({type: "result", id: msg.id, proof, publicSignals});
+        } catch (err) {
+            scope.postMessage({type: "error", id: msg.id, error: serializeError(err)});
+        } finally {
+            controllers.delete(msg.id);
+        }
+    });
+}
+
+// Errors are not cloneable in every browser, so they are sent as plain objects
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: err.message,
+        artifact: err.artifact,
+        expected: err.expected,
+        actual: err.actual,
+    };
+}
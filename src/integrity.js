@@ -0,0 +1,186 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// Pinning of artifacts (zkey, circuit wasm) to a digest. Digests are written
+// "<algorithm>:<hex>" where algorithm is "sha256" or "blake2b" (BLAKE2b-512).
+// A bare 64 hex chars digest is taken as sha256. They are computed over the
+// bytes as fastfile reads them, that is, after decompression.
+
+import { sha256 } from "@noble/hashes/sha2";
+import { blake2b } from "@noble/hashes/blake2b";
+import { BigBuffer } from "ffjavascript";
+import { IntegrityError, throwIfAborted } from "./misc.js";
+import { readSection } from "./binfileutils/binfileutils.js";
+
+const HASH_CHUNK_SIZE = 1 << 24;
+
+const hashers = {
+    sha256: () => sha256.create(),
+    blake2b: () => blake2b.create({dkLen: 64}),
+};
+
+export function parseDigest(digest) {
+    if (typeof digest !== "string") throw new Error("Invalid digest: it must be a string");
+
+    let [algorithm, hex] = digest.includes(":") ? digest.split(":") : ["sha256", digest];
+    algorithm = algorithm.toLowerCase();
+    hex = hex.toLowerCase();
+
+    if (!hashers[algorithm]) {
+        throw new Error(`Unsupported digest algorithm: ${algorithm}. Use one of ${Object.keys(hashers).join(", ")}`);
+    }
+    const len = algorithm == "sha256" ? 64 : 128;
+    if (!new RegExp(`^[0-9a-f]{${len}}$`).test(hex)) {
+        throw new Error(`Invalid ${algorithm} digest: ${digest}`);
+    }
+
+    return {algorithm, hex};
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function check(artifact, expected, hasher) {
+    const actual = toHex(hasher.digest());
+    if (actual !== expected.hex) {
+        throw new IntegrityError(artifact, `${expected.algorithm}:${expected.hex}`, `${expected.algorithm}:${actual}`);
+    }
+}
+
+// Throws an IntegrityError if buff does not match digest
+export function checkBufferDigest(artifact, digest, buff) {
+    const expected = parseDigest(digest);
+    const hasher = hashers[expected.algorithm]();
+    hasher.update(buff);
+    check(artifact, expected, hasher);
+}
+
+// Reads the whole binary file behind fd once, in order, hashing every byte,
+// and keeps the sections of idSections, so the caller works on the very bytes
+// that were hashed instead of reading them again. The section table of
+// readBinFile is checked against the hashed section headers. Kept sections are
+// read whole, so remote sections that are being prefetched are taken from the
+// prefetch and are downloaded only once.
+//
+// section(idSection) resolves to a kept section as soon as it has been hashed,
+// before the digest is checked, and releases it: callers must await done,
+// which rejects with an IntegrityError if the file does not match digest,
+// before trusting anything computed from it. Reading stops with an AbortError
+// when signal is aborted.
+export function readVerifiedSections(artifact, digest, fd, sections, idSections, signal) {
+    const expected = parseDigest(digest);
+    const hasher = hashers[expected.algorithm]();
+
+    const kept = new Map();
+    for (const idSection of idSections) {
+        const entry = {};
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+        // Sections nobody asks for are just dropped
+        entry.promise.catch(() => {});
+        kept.set(idSection, entry);
+    }
+
+    const hashRange = async (from, to) => {
+        for (let pos=from; pos<to; pos+=HASH_CHUNK_SIZE) {
+            throwIfAborted(signal);
+            hasher.update(await fd.read(Math.min(to - pos, HASH_CHUNK_SIZE), pos));
+        }
+    };
+
+    const readHeader = async (len, pos) => {
+        const buff = await fd.read(len, pos);
+        hasher.update(buff);
+        return new DataView(buff.buffer, buff.byteOffset, len);
+    };
+
+    const done = (async () => {
+        let nSections = 0;
+        for (const idSection in sections) nSections += sections[idSection].length;
+
+        // Magic, version and number of sections
+        let pos = 12;
+        if ((await readHeader(12, 0)).getUint32(8, true) != nSections) {
+            throw new Error(`${fd.fileName}: The sections do not match the hashed file`);
+        }
+
+        for (let i=0; i<nSections; i++) {
+            throwIfAborted(signal);
+            const header = await readHeader(12, pos);
+            const idSection = header.getUint32(0, true);
+            const size = header.getUint32(8, true) * 0x100000000 + header.getUint32(4, true);
+            pos += 12;
+
+            const section = sections[idSection] && sections[idSection].find( (s) => s.p == pos );
+            if ((!section) || (section.size != size)) {
+                throw new Error(`${fd.fileName}: The sections do not match the hashed file`);
+            }
+
+            const entry = kept.get(idSection);
+            if ((entry) && (section === sections[idSection][0])) {
+                const buff = await readSection(fd, sections, idSection);
+                for (let o=0; o<size; o+=HASH_CHUNK_SIZE) {
+                    throwIfAborted(signal);
+                    const to = Math.min(size, o + HASH_CHUNK_SIZE);
+                    // BigBuffers have no subarray
+                    hasher.update((buff instanceof BigBuffer) ? buff.slice(o, to) : buff.subarray(o, to));
+                }
+                entry.resolve(buff);
+            } else {
+                await hashRange(pos, pos + size);
+            }
+            pos += size;
+        }
+        await hashRange(pos, fd.totalSize);
+
+        check(artifact, expected, hasher);
+    })();
+
+    // Settles the sections that were not found
+    done.then( () => {
+        for (const [idSection, entry] of kept) entry.reject(new Error(`${fd.fileName}: Missing section ${idSection}`));
+    }, (err) => {
+        for (const entry of kept.values()) entry.reject(err);
+    });
+
+    return {
+        async section(idSection) {
+            const entry = kept.get(idSection);
+            if ((!entry) || (!entry.promise)) throw new Error(`Section ${idSection} is not kept or was already taken`);
+            const promise = entry.promise;
+            entry.promise = null;
+            return await promise;
+        },
+        done
+    };
+}
+
+// Digest of the whole content of fd, written "<algorithm>:<hex>"
+export async function fileDigest(fd, algorithm) {
+    algorithm = algorithm || "sha256";
+    if (!hashers[algorithm]) throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+    const hasher = hashers[algorithm]();
+    for (let pos=0; pos<fd.totalSize; pos+=HASH_CHUNK_SIZE) {
+        hasher.update(await fd.read(Math.min(fd.totalSize - pos, HASH_CHUNK_SIZE), pos));
+    }
+    return `${algorithm}:${toHex(hasher.digest())}`;
+}
@@ -28,3 +28,43 @@ export function hex2ByteArray(s) {
         return parseInt(h, 16);
     }));
 }
+
+export class AbortError extends Error {
+    constructor(reason) {
+        super("The operation was aborted");
+        this.name = "AbortError";
+        this.reason = reason;
+    }
+}
+
+// Thrown when an artifact does not match the digest it was pinned to
+export class IntegrityError extends Error {
+    constructor(artifact, expected, actual) {
+        super(`Integrity check failed for the ${artifact}. Expected ${expected}, got ${actual}`);
+        this.name = "IntegrityError";
+        this.artifact = artifact;
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+// Thrown when a bundle manifest is not signed by the expected key
+export class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SignatureError";
+    }
+}
+
+// Throws an AbortError if the given AbortSignal (if any) has been aborted.
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new AbortError(signal.reason);
+    }
+}
+
+// Gives the event loop a chance to run, so that abort events dispatched while
+// a long synchronous loop is running can be observed.
+export function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
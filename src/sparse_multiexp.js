@@ -0,0 +1,170 @@
+/*
+    Copyright 2018 0KIMS association.
+
+    This file is part of snarkJS.
+
+    snarkJS is a free software: you can redistribute it and/or modify it
+    under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    snarkJS is distributed in the hope that it will be useful, but WITHOUT
+    ANY WARRANTY; without even the implied warranty of MERCHANTABILITY
+    or FITNESS FOR A PARTICULAR PURPOSE. See the GNU General Public
+    License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with snarkJS. If not, see <https://www.gnu.org/licenses/>.
+*/
+
+import { BigBuffer } from "ffjavascript";
+
+export const SCALAR_ZERO = 0;
+export const SCALAR_ONE = 1;
+export const SCALAR_GENERAL = 2;
+
+const MIN_SUM_CHUNK_SIZE = 1 << 10;
+
+// Splits the witness (n8 bytes little endian scalars, as in the wtns files) in
+// runs of consecutive zero, one and general scalars. The runs are
+// [runStarts[i], runStarts[i+1]) and their class is runClasses[i]; the last
+// start is n.
+export function partitionWitness(buffWitness, n8) {
+    const n = buffWitness.byteLength / n8;
+    const starts = [];
+    const classes = [];
+    const counts = [0, 0, 0];
+
+    let chunk;
+    let chunkStart = 0;
+    for (let i=0; i<n; i++) {
+        if ((!chunk) || (i - chunkStart)*n8 >= chunk.byteLength) {
+            chunkStart = i;
+            chunk = view(buffWitness, i*n8, Math.min(n, i + (1 << 16))*n8);
+        }
+        const cls = scalarClass(chunk, (i - chunkStart)*n8, n8);
+        counts[cls]++;
+        if ((classes.length == 0) || (classes[classes.length-1] != cls)) {
+            starts.push(i);
+            classes.push(cls);
+        }
+    }
+    starts.push(n);
+
+    return {
+        n,
+        n8,
+        runStarts: Uint32Array.from(starts),
+        runClasses: Uint8Array.from(classes),
+        nZeros: counts[SCALAR_ZERO],
+        nOnes: counts[SCALAR_ONE],
+        nGeneral: counts[SCALAR_GENERAL],
+    };
+}
+
+function scalarClass(buff, o, n8) {
+    for (let j=1; j<n8; j++) {
+        if (buff[o+j]) return SCALAR_GENERAL;
+    }
+    if (buff[o] == 0) return SCALAR_ZERO;
+    if (buff[o] == 1) return SCALAR_ONE;
+    return SCALAR_GENERAL;
+}
+
+// Computes sum(s_i*B_i) for the scalars of the witness from index `from` on,
+// skipping the zero scalars and adding the points of the one scalars, so only
+// the general ones go to the multiexp.
+export default async function sparseMultiExp(G, buffBases, buffWitness, partition, from, logger, loggerTxt) {
+    const n8 = partition.n8;
+    const sG = G.F.n8*2;
+
+    let nOnes = 0;
+    let nGeneral = 0;
+    forEachRun(partition, from, (cls, start, end) => {
+        if (cls == SCALAR_ONE) nOnes += end - start;
+        if (cls == SCALAR_GENERAL) nGeneral += end - start;
+    });
+
+    if (nGeneral == partition.n - from) {
+        return await G.multiExpAffine(buffBases, buffWitness.slice(from*n8), logger, loggerTxt);
+    }
+
+    const buffGeneralBases = newBuffer(nGeneral*sG);
+    const buffGeneralScalars = newBuffer(nGeneral*n8);
+    const buffOneBases = newBuffer(nOnes*sG);
+    let pGeneral = 0;
+    let pOne = 0;
+    forEachRun(partition, from, (cls, start, end) => {
+        const first = start - from;
+        const last = end - from;
+        if (cls == SCALAR_GENERAL) {
+            buffGeneralBases.set(view(buffBases, first*sG, last*sG), pGeneral*sG);
+            buffGeneralScalars.set(view(buffWitness, start*n8, end*n8), pGeneral*n8);
+            pGeneral += end - start;
+        } else if (cls == SCALAR_ONE) {
+            buffOneBases.set(view(buffBases, first*sG, last*sG), pOne*sG);
+            pOne += end - start;
+        }
+    });
+
+    const [resGeneral, resOnes] = await Promise.all([
+        nGeneral ? G.multiExpAffine(buffGeneralBases, buffGeneralScalars, logger, loggerTxt) : G.zero,
+        sumPoints(G, buffOneBases),
+    ]);
+
+    return G.add(resGeneral, resOnes);
+}
+
+function forEachRun(partition, from, cb) {
+    const {runStarts, runClasses} = partition;
+    for (let i=0; i<runClasses.length; i++) {
+        const start = Math.max(runStarts[i], from);
+        const end = runStarts[i+1];
+        if (start < end) cb(runClasses[i], start, end);
+    }
+}
+
+function newBuffer(size) {
+    return size < (1 << 30) ? new Uint8Array(size) : new BigBuffer(size);
+}
+
+// BigBuffers have no subarray
+function view(buff, from, to) {
+    return (buff instanceof BigBuffer) ? buff.slice(from, to) : buff.subarray(from, to);
+}
+
+// Adds up affine points in the workers. A multiexp chunk of one bit with all
+// the scalars set to 1 is a plain sum: every point goes to the same bucket.
+async function sumPoints(G, buffPoints) {
+    const sG = G.F.n8*2;
+    const nPoints = buffPoints.byteLength / sG;
+    if (nPoints == 0) return G.zero;
+
+    const fnName = G.prefix + "_multiexpAffine_chunk";
+    const chunkSize = Math.max(MIN_SUM_CHUNK_SIZE, Math.ceil(nPoints / G.tm.concurrency));
+
+    const promises = [];
+    for (let i=0; i<nPoints; i+=chunkSize) {
+        const n = Math.min(nPoints - i, chunkSize);
+        const task = [];
+        task.push({cmd: "ALLOCSET", var: 0, buff: buffPoints.slice(i*sG, (i+n)*sG)});
+        task.push({cmd: "ALLOCSET", var: 1, buff: new Uint8Array(n).fill(1)});
+        task.push({cmd: "ALLOC", var: 2, len: G.F.n8*3});
+        task.push({cmd: "CALL", fnName, params: [
+            {var: 0},
+            {var: 1},
+            {val: 1},
+            {val: n},
+            {val: 0},
+            {val: 1},
+            {var: 2},
+        ]});
+        task.push({cmd: "GET", out: 0, var: 2, len: G.F.n8*3});
+        promises.push(G.tm.queueAction(task));
+    }
+
+    const results = await Promise.all(promises);
+    let res = G.zero;
+    for (const r of results) res = G.add(res, r[0]);
+    return res;
+}
@@ -22,8 +22,11 @@ import * as wtnsUtils from "./wtns_utils.js";
 import { utils } from "ffjavascript";
 import {fastFileCreateOverride, fastFileReadExisting} from "./fastfile/fastfile.js";
 import { createBinFile } from "./binfileutils/binfileutils.js";
+import { checkBufferDigest } from "./integrity.js";
 const { unstringifyBigInts} = utils;
 
+// options.wasmDigest: expected digest of the wasm (see integrity.js). An
+// IntegrityError is thrown before running it if it does not match.
 export default async function wtnsCalculate(_input, wasmFileName, wtnsFileName, options) {
     const input = unstringifyBigInts(_input);
 
@@ -31,6 +34,8 @@ export default async function wtnsCalculate(_input, wasmFileName, wtnsFileName,
     const wasm = await fdWasm.read(fdWasm.totalSize);
     await fdWasm.close();
 
+    if (options && options.wasmDigest) checkBufferDigest("wasm", options.wasmDigest, wasm);
+
     const wc = await WitnessCalculatorBuilder(wasm);
     if (wc.circom_version() == 1) {
         const w = await wc.calculateBinWitness(input);
@@ -63,7 +63,10 @@ async function readG2(fd, curve, toObject) {
     return toObject ? curve.G2.toObject(res) : res;
 }
 
-export async function readHeader(fd, sections, toObject) {
+// zkey.curve is a reference to the shared curve (see curves.js), built with
+// options.singleThread and options.maxWorkers. Give it back with
+// zkey.curve.terminate() when done.
+export async function readHeader(fd, sections, toObject, options) {
     // Read Header
     /////////////////////
     await startReadUniqueSection(fd, sections, 1);
@@ -89,7 +92,7 @@ export async function readHeader(fd, sections, toObject) {
     const n8r = await fd.readULE32();
     zkey.n8r = n8r;
     zkey.r = await readBigInt(fd, n8r);
-    zkey.curve = await getCurve(zkey.q);
+    zkey.curve = await getCurve(zkey.q, options);
     zkey.nVars = await fd.readULE32();
     zkey.nPublic = await fd.readULE32();
     zkey.domainSize = await fd.readULE32();
@@ -0,0 +1,130 @@
+import * as groth16 from "../src/groth16.js";
+import * as aggregation from "../src/aggregation.js";
+import { getCurveFromName } from "../src/curves.js";
+import { getRandomGroth16Proof } from "./test.utils.js";
+import { Scalar } from "ffjavascript";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+
+describe("Aggregation test suite", function () {
+    this.timeout(1000000000);
+
+    const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+    const wtnsFilename = path.join("test", "groth16", "witness.wtns");
+    const vkeyFilename = path.join("test", "groth16", "verification_key.json");
+    const ptauAFilename = path.join("test", "aggregation", "powersOfTau4_a.ptau");
+    const ptauBFilename = path.join("test", "aggregation", "powersOfTau4_b.ptau");
+
+    let curve;
+    let vKey;
+    let items;
+
+    before(async () => {
+        curve = await getCurveFromName("bn128");
+        vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+        const {proof, publicSignals} = await groth16.prove(zkey, wtns);
+
+        items = [];
+        for (let i = 0; i < 8; i++) {
+            items.push({publicSignals, proof: await groth16.rerandomize(proof, vKey)});
+        }
+    });
+
+    after(async () => {
+        await curve.terminate();
+    });
+
+    it("aggregates groth16 proofs with an SRS from two powers of tau", async () => {
+        const ptauA = new Uint8Array(fs.readFileSync(ptauAFilename));
+        const ptauB = new Uint8Array(fs.readFileSync(ptauBFilename));
+        const srs = await aggregation.setupFromPtau(ptauA, ptauB, 8);
+
+        const aggProof = await aggregation.aggregate(srs, items);
+        assert.equal(aggProof.protocol, "snarkpack");
+        assert.equal(aggProof.nProofs, 8);
+        assert.equal(aggProof.rounds.length, 3);
+
+        // Serialized as JSON, as a verifier would receive it
+        const received = JSON.parse(JSON.stringify(aggProof));
+        const publicSignalsList = items.map(item => item.publicSignals);
+        assert(await aggregation.verify(srs.vk, vKey, publicSignalsList, received));
+
+        const badSignals = [...publicSignalsList];
+        badSignals[3] = [Scalar.toString(Scalar.add(badSignals[3][0], 1))];
+        assert(!(await aggregation.verify(srs.vk, vKey, badSignals, received)));
+
+        assert(!(await aggregation.verify(srs.vk, vKey, publicSignalsList.slice(1), received)));
+
+        const badProof = {...received, final_c: received.final_a};
+        assert(!(await aggregation.verify(srs.vk, vKey, publicSignalsList, badProof)));
+
+        await assert.rejects(aggregation.setupFromPtau(ptauA, ptauB, 16), /too small/);
+    });
+
+    it("rejects powers of tau that do not start at the generators", async () => {
+        const ptauA = new Uint8Array(fs.readFileSync(ptauAFilename));
+        const ptauB = new Uint8Array(fs.readFileSync(ptauBFilename));
+
+        // Replaces the first point of section idSection by the second one
+        function shiftFirstPoint(ptau, idSection, sPoint) {
+            const view = new DataView(ptau.buffer, ptau.byteOffset, ptau.byteLength);
+            let p = 12;
+            while (view.getUint32(p, true) != idSection) {
+                p += 12 + view.getUint32(p + 4, true) + view.getUint32(p + 8, true)*0x100000000;
+            }
+            const bad = ptau.slice();
+            bad.copyWithin(p + 12, p + 12 + sPoint, p + 12 + 2*sPoint);
+            return bad;
+        }
+
+        await assert.rejects(aggregation.setupFromPtau(ptauA, shiftFirstPoint(ptauB, 2, 64), 8),
+            /first tauG1 point of the second file must be the generator/);
+        await assert.rejects(aggregation.setupFromPtau(shiftFirstPoint(ptauA, 3, 128), ptauB, 8),
+            /first tauG2 point of the first file must be the generator/);
+        await assert.rejects(aggregation.setupFromPtau(ptauA, shiftFirstPoint(ptauB, 3, 128), 8),
+            /first tauG2 point of the second file must be the generator/);
+    });
+
+    it("rejects an aggregation with an invalid proof", async () => {
+        const srs = await aggregation.setupInsecure(curve, 4);
+
+        const badItems = items.slice(0, 4);
+        badItems[1] = {...badItems[1], proof: {...badItems[1].proof, pi_c: badItems[2].proof.pi_c}};
+
+        const aggProof = await aggregation.aggregate(srs, badItems);
+        assert(!(await aggregation.verify(srs.vk, vKey, badItems.map(item => item.publicSignals), aggProof)));
+    });
+
+    it("pads a number of proofs that is not a power of 2", async () => {
+        const srs = await aggregation.setupInsecure(curve, 4);
+
+        const aggProof = await aggregation.aggregate(srs, items.slice(0, 3));
+        assert.equal(aggProof.nProofs, 3);
+        assert.equal(aggProof.rounds.length, 2);
+        assert(await aggregation.verify(srs.vk, vKey, items.slice(0, 3).map(item => item.publicSignals), aggProof));
+
+        await assert.rejects(aggregation.aggregate(srs, items), /SRS too small/);
+    });
+
+    it("aggregates groth16 proofs on bls12381", async () => {
+        const curveBls = await getCurveFromName("bls12381");
+        try {
+            const {vk, publicSignals, proof} = getRandomGroth16Proof(curveBls, 2);
+            const blsItems = [{publicSignals, proof}];
+            for (let i = 0; i < 3; i++) {
+                blsItems.push({publicSignals, proof: await groth16.rerandomize(proof, vk)});
+            }
+
+            const srs = await aggregation.setupInsecure(curveBls, 4);
+            const aggProof = await aggregation.aggregate(srs, blsItems);
+            assert.equal(aggProof.curve, "bls12381");
+            assert(await aggregation.verify(srs.vk, vk, blsItems.map(item => item.publicSignals), aggProof));
+        } finally {
+            await curveBls.terminate();
+        }
+    });
+});
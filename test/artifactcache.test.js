@@ -0,0 +1,122 @@
+import * as groth16 from "../src/groth16.js";
+import * as artifactCache from "../src/fastfile/artifactcache.js";
+import { getCurveFromName } from "../src/curves.js";
+import { IDBFactory } from "fake-indexeddb";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+
+describe("Artifact cache test suite", function () {
+    this.timeout(1000000000);
+
+    const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+    const wasmFilename = path.join("test", "groth16", "circuit.wasm");
+    const vkeyFilename = path.join("test", "groth16", "verification_key.json");
+    const inputFilename = path.join("test", "groth16", "witness.json");
+
+    let zkeyHash;
+    let wasmHash;
+
+    before(async () => {
+        zkeyHash = await artifactCache.sha256(fs.readFileSync(zkeyFilename));
+        wasmHash = await artifactCache.sha256(fs.readFileSync(wasmFilename));
+    });
+
+    it("groth16 fullProve with cached artifacts", async () => {
+        const indexedDB = new IDBFactory();
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+        const curve = await getCurveFromName("bn128");
+
+        try {
+            let cache = await artifactCache.open({indexedDB});
+            await cache.load(zkeyFilename, zkeyHash);
+            await cache.load(wasmFilename, wasmHash);
+            cache.close();
+
+            // A new page load: the artifacts come from the cache, not from the source
+            cache = await artifactCache.open({indexedDB});
+            const zkey = await cache.load("missing.zkey", zkeyHash.toUpperCase());
+            const wasm = await cache.load("missing.wasm", wasmHash);
+            assert.equal(zkey.type, "mem");
+
+            const {proof, publicSignals} = await groth16.fullProve(input, wasm, zkey);
+            assert(await groth16.verify(vKey, publicSignals, proof));
+
+            const list = await cache.list();
+            assert.deepEqual(list.map(a => a.hash).sort(), [zkeyHash, wasmHash].sort());
+            cache.close();
+        } finally {
+            await curve.terminate();
+        }
+    });
+
+    it("rejects artifacts that do not match the expected hash", async () => {
+        const cache = await artifactCache.open({indexedDB: new IDBFactory()});
+
+        await assert.rejects(cache.load(zkeyFilename, wasmHash), /Integrity check failed/);
+        await assert.rejects(cache.load(zkeyFilename, "1234"), /Invalid artifact hash/);
+        assert.deepEqual(await cache.list(), []);
+
+        cache.close();
+    });
+
+    it("drops corrupted artifacts", async () => {
+        const indexedDB = new IDBFactory();
+        const logs = [];
+        const logger = {warn: (msg) => logs.push(msg), debug: () => {}};
+
+        const cache = await artifactCache.open({indexedDB, logger});
+        const hash = await cache.put(new Uint8Array([1, 2, 3, 4]));
+
+        // Overwrite the stored data behind the cache's back
+        const db = await new Promise((resolve, reject) => {
+            const req = indexedDB.open("snarkjs-artifacts");
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        await new Promise((resolve, reject) => {
+            const tx = db.transaction(["data"], "readwrite");
+            tx.objectStore("data").put(new Uint8Array([1, 2, 3, 5]).buffer, hash);
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        db.close();
+
+        assert.equal(await cache.get(hash), null);
+        assert(logs.some(msg => /corrupted/.test(msg)));
+        assert.deepEqual(await cache.list(), []);
+
+        const reloaded = await cache.load(new Uint8Array([1, 2, 3, 4]), hash);
+        assert.deepEqual(reloaded.data, new Uint8Array([1, 2, 3, 4]));
+        assert.deepEqual((await cache.get(hash)).data, new Uint8Array([1, 2, 3, 4]));
+
+        cache.close();
+    });
+
+    it("evicts the least recently used artifacts", async () => {
+        const cache = await artifactCache.open({indexedDB: new IDBFactory(), maxSize: 250});
+
+        const a = await cache.put(new Uint8Array(100).fill(1));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const b = await cache.put(new Uint8Array(100).fill(2));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        // Reading a makes b the least recently used
+        assert(await cache.get(a));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const c = await cache.put(new Uint8Array(100).fill(3));
+
+        assert(await cache.get(a));
+        assert.equal(await cache.get(b), null);
+        assert(await cache.get(c));
+
+        // Too large to be cached, but still returned
+        const big = await cache.load(new Uint8Array(300).fill(4));
+        assert.equal(big.data.byteLength, 300);
+        assert.equal((await cache.list()).length, 2);
+
+        await cache.clear();
+        assert.deepEqual(await cache.list(), []);
+        cache.close();
+    });
+});
@@ -0,0 +1,96 @@
+import * as bundle from "../src/bundle.js";
+import { getCurveFromName } from "../src/curves.js";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+describe("Signed bundle test suite", function () {
+    this.timeout(1000000000);
+
+    const files = {
+        wasm: path.join("test", "groth16", "circuit.wasm"),
+        zkey: path.join("test", "groth16", "circuit.zkey.zst"),
+        vkey: path.join("test", "groth16", "verification_key.json"),
+    };
+    const inputFilename = path.join("test", "groth16", "witness.json");
+
+    let tmpDir;
+    let key;
+    let curve;
+
+    // Same as `snarkjs bundle publish`
+    async function publish(bundleDir, privateKey) {
+        const manifest = await bundle.createManifest(files);
+        const signed = bundle.signManifest(manifest, privateKey);
+
+        await fs.promises.mkdir(bundleDir, {recursive: true});
+        for (const id of Object.keys(files)) {
+            await fs.promises.copyFile(files[id], path.join(bundleDir, manifest.files[id].name));
+        }
+        await fs.promises.writeFile(path.join(bundleDir, bundle.MANIFEST_NAME), signed.manifest);
+        await fs.promises.writeFile(path.join(bundleDir, bundle.SIGNATURE_NAME), signed.signature + "\n");
+        return manifest;
+    }
+
+    before(async () => {
+        tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "snarkjs-bundle-"));
+        key = bundle.generateKey();
+        curve = await getCurveFromName("bn128");
+    });
+
+    after(async () => {
+        await fs.promises.rm(tmpDir, {recursive: true, force: true});
+        await curve.terminate();
+    });
+
+    it("publishes and proves from a signed bundle", async () => {
+        const bundleDir = path.join(tmpDir, "release");
+        const manifest = await publish(bundleDir, key.privateKey);
+
+        assert.equal(manifest.files.zkey.name, "circuit.zkey.zst");
+        assert.equal(bundle.getPublicKey(key.privateKey), key.publicKey);
+
+        const b = await bundle.load(bundleDir, key.publicKey);
+        assert.deepEqual(b.manifest, manifest);
+
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+        const {proof, publicSignals} = await b.fullProve(input);
+        assert(await b.verify(publicSignals, proof));
+    });
+
+    it("rejects bundles not signed by the release key", async () => {
+        const bundleDir = path.join(tmpDir, "other");
+        await publish(bundleDir, bundle.generateKey().privateKey);
+
+        await assert.rejects(bundle.load(bundleDir, key.publicKey), {name: "SignatureError"});
+        await assert.rejects(bundle.load(bundleDir, "1234"), /Invalid public key/);
+
+        // A mirror that edits the manifest to match its own files
+        const mirrorDir = path.join(tmpDir, "mirror");
+        await publish(mirrorDir, key.privateKey);
+        const manifestName = path.join(mirrorDir, bundle.MANIFEST_NAME);
+        const manifest = JSON.parse(fs.readFileSync(manifestName, "utf8"));
+        manifest.files.vkey.digest = "sha256:" + "0".repeat(64);
+        fs.writeFileSync(manifestName, JSON.stringify(manifest, null, 1));
+
+        await assert.rejects(bundle.load(mirrorDir, key.publicKey), {name: "SignatureError"});
+    });
+
+    it("rejects files replaced in a signed bundle", async () => {
+        const bundleDir = path.join(tmpDir, "tampered");
+        await publish(bundleDir, key.privateKey);
+
+        // The zkey of the bundle replaced by a different (uncompressed) one
+        const zkey = fs.readFileSync(path.join("test", "groth16", "circuit.zkey"));
+        zkey[zkey.length - 1] ^= 1;
+        fs.writeFileSync(path.join(bundleDir, "circuit.zkey.zst"), zkey);
+
+        const b = await bundle.load(bundleDir, key.publicKey);
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+        await assert.rejects(b.fullProve(input), {name: "IntegrityError", artifact: "zkey"});
+
+        fs.writeFileSync(path.join(bundleDir, "verification_key.json"), "{}");
+        await assert.rejects(bundle.load(bundleDir, key.publicKey), {name: "IntegrityError"});
+    });
+});
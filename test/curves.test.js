@@ -0,0 +1,293 @@
+import * as curves from "../src/curves.js";
+import * as groth16 from "../src/groth16.js";
+import * as zkey from "../src/zkey.js";
+import { buildBn128 } from "ffjavascript";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+import os from "os";
+
+// Counts the shutdowns of the worker pool of curve
+function countTerminations(curve) {
+    const counter = {count: 0};
+    const terminate = curve.tm.terminate.bind(curve.tm);
+    curve.tm.terminate = async () => {
+        counter.count++;
+        await terminate();
+    };
+    return counter;
+}
+
+// Makes ffjavascript see nCores cores. Returns the function that undoes it.
+function fakeCores(nCores) {
+    const nav = globalThis.navigator;
+    if ((typeof nav === "object") && (nav.hardwareConcurrency)) {
+        Object.defineProperty(nav, "hardwareConcurrency", {value: nCores, configurable: true});
+        return () => delete nav.hardwareConcurrency;
+    }
+    const cpus = os.cpus;
+    os.cpus = () => new Array(nCores).fill(cpus.call(os)[0]);
+    return () => {
+        os.cpus = cpus;
+    };
+}
+
+describe("Curve registry test suite", function () {
+    this.timeout(1000000000);
+
+    const bn128q = "21888242871839275222246405745257275088696311157297823662689037894645226208583";
+
+    it("shares one instance and keeps it for a while after the last reference", async () => {
+        await curves.terminate();
+        const [c1, c2, c3] = await Promise.all([
+            curves.getCurveFromName("bn128", {idleTimeout: 200}),
+            curves.getCurveFromName("bn128"),
+            curves.getCurveFromQ(bn128q),
+        ]);
+        assert(c1 === c2);
+        assert(c1 === c3);
+
+        const terminations = countTerminations(c1);
+        await c1.terminate();
+        await c2.terminate();
+        await c3.terminate();
+        assert.equal(terminations.count, 0);
+
+        // Extra terminate calls do nothing
+        await c3.terminate();
+
+        const c4 = await curves.getCurveFromName("bn128");
+        assert(c4 === c1);
+        await c4.terminate();
+
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(terminations.count, 1);
+
+        const c5 = await curves.getCurveFromName("bn128");
+        assert(c5 !== c1);
+        await c5.terminate();
+    });
+
+    it("terminates the last reference right away without idleTimeout", async () => {
+        await curves.terminate();
+        const curve = await curves.getCurveFromName("bn128", {idleTimeout: 0});
+        const terminations = countTerminations(curve);
+        await curve.terminate();
+        assert.equal(terminations.count, 1);
+    });
+
+    it("reuses the curve across verifies without a reference held", async () => {
+        await curves.terminate();
+        let built = 0;
+        const register = (build) => curves.registerCurve({name: "bn128", aliases: ["bn254", "alt_bn128"], q: bn128q, build});
+        register(async (singleThread) => {
+            built++;
+            return await buildBn128(singleThread);
+        });
+        try {
+            const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+            const wtnsFilename = path.join("test", "groth16", "witness.wtns");
+            const vKey = JSON.parse(fs.readFileSync(path.join("test", "groth16", "verification_key.json"), "utf8"));
+            const {proof, publicSignals} = await groth16.prove(zkeyFilename, wtnsFilename);
+
+            for (let i=0; i<3; i++) {
+                assert(await groth16.verify(vKey, publicSignals, proof));
+            }
+            assert.equal(built, 1);
+        } finally {
+            register(buildBn128);
+            await curves.terminate();
+        }
+    });
+
+    it("keeps the curve alive across proofs while a reference is held", async () => {
+        const curve = await curves.getCurveFromName("bn128");
+        const terminations = countTerminations(curve);
+
+        try {
+            const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+            const wtnsFilename = path.join("test", "groth16", "witness.wtns");
+            const vKey = JSON.parse(fs.readFileSync(path.join("test", "groth16", "verification_key.json"), "utf8"));
+
+            const prover = await groth16.createProver(zkeyFilename);
+            const {proof, publicSignals} = await prover.prove(wtnsFilename);
+            await prover.dispose();
+            assert.equal(prover.curve, curve);
+
+            assert(await groth16.verify(vKey, publicSignals, proof));
+            const res = await groth16.prove(zkeyFilename, wtnsFilename);
+            assert(await groth16.verify(vKey, res.publicSignals, res.proof));
+
+            assert.equal(terminations.count, 0);
+        } finally {
+            await curve.terminate();
+        }
+        await curves.terminate();
+        assert.equal(terminations.count, 1);
+    });
+
+    it("gives back the curve when creating a prover fails", async () => {
+        const curve = await curves.getCurveFromName("bn128");
+        const terminations = countTerminations(curve);
+
+        try {
+            const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+            await assert.rejects(
+                groth16.createProver(zkeyFilename, undefined, {zkeyDigest: "sha256:" + "0".repeat(64)}),
+                {name: "IntegrityError", artifact: "zkey"}
+            );
+            assert.equal(terminations.count, 0);
+        } finally {
+            await curve.terminate();
+        }
+        await curves.terminate();
+        assert.equal(terminations.count, 1);
+    });
+
+    it("terminates all the curves", async () => {
+        const bn128 = await curves.getCurveFromName("bn128");
+        const bls12381 = await curves.getCurveFromName("bls12381");
+        const terminationsBn128 = countTerminations(bn128);
+        const terminationsBls12381 = countTerminations(bls12381);
+
+        await curves.terminate();
+        assert.equal(terminationsBn128.count, 1);
+        assert.equal(terminationsBls12381.count, 1);
+
+        // References taken before do not terminate them again
+        await bn128.terminate();
+        assert.equal(terminationsBn128.count, 1);
+
+        const curve = await curves.getCurveFromName("bn128");
+        assert(curve !== bn128);
+        await curve.terminate();
+    });
+
+    it("finds the curves by any of their names", async () => {
+        const bn128 = await curves.getCurveFromName("bn128");
+        const bn254 = await curves.getCurveFromName("BN254");
+        const altBn128 = await curves.getCurveFromName("alt_bn128");
+        const bls12381 = await curves.getCurveFromName("BLS12-381");
+
+        try {
+            assert(bn128 === bn254);
+            assert(bn128 === altBn128);
+            assert.equal(bls12381.name, "bls12381");
+            await assert.rejects(curves.getCurveFromName("secp256k1"), /Curve not supported/);
+        } finally {
+            await bn128.terminate();
+            await bn254.terminate();
+            await altBn128.terminate();
+            await bls12381.terminate();
+        }
+    });
+
+    it("registers new curves", async () => {
+        let built = 0;
+        let terminated = 0;
+        curves.registerCurve({
+            name: "toy",
+            aliases: ["toy_101"],
+            q: 101,
+            build: async () => {
+                built++;
+                return {name: "toy", terminate: async () => { terminated++; }};
+            }
+        });
+
+        const c1 = await curves.getCurveFromName("TOY101", {idleTimeout: 0});
+        const c2 = await curves.getCurveFromQ(101);
+        assert(c1 === c2);
+        assert.equal(built, 1);
+        await c1.terminate();
+        await c2.terminate();
+        assert.equal(terminated, 1);
+
+        assert.throws(() => curves.registerCurve({name: "bn256", q: bn128q, build: buildBn128}), /same q/);
+        assert.throws(() => curves.registerCurve({name: "other", aliases: ["bn254"], q: 103, build: buildBn128}), /already used/);
+        assert.throws(() => curves.registerCurve({name: "incomplete", q: 107}), /Invalid curve/);
+    });
+
+    it("reads zkeys with the registered curve", async () => {
+        let built = 0;
+        const register = (build) => curves.registerCurve({name: "bn128", aliases: ["bn254", "alt_bn128"], q: bn128q, build});
+
+        register(async () => {
+            built++;
+            return await buildBn128();
+        });
+        try {
+            const vKey = await zkey.exportVerificationKey(path.join("test", "groth16", "circuit.zkey"));
+            assert.equal(vKey.curve, "bn128");
+            assert.equal(built, 1);
+        } finally {
+            register(buildBn128);
+        }
+    });
+
+    it("falls back to a single thread when the workers cannot be started", async () => {
+        const builds = [];
+        curves.registerCurve({
+            name: "noworkers",
+            q: 109,
+            build: async (singleThread) => {
+                builds.push(singleThread);
+                if (!singleThread) throw new Error("Workers are not available");
+                return {name: "noworkers", terminate: async () => {}};
+            }
+        });
+
+        const curve = await curves.getCurveFromName("noworkers", {maxWorkers: 2});
+        assert.deepEqual(builds, [false, true]);
+        await curve.terminate();
+    });
+
+    it("falls back to a single thread when the workers do not start in time", async () => {
+        const builds = [];
+        let lateTerminations = 0;
+        curves.registerCurve({
+            name: "slowworkers",
+            q: 113,
+            build: async (singleThread) => {
+                builds.push(singleThread);
+                if (!singleThread) await new Promise(resolve => setTimeout(resolve, 200));
+                return {name: "slowworkers", singleThread, terminate: async () => {
+                    if (!singleThread) lateTerminations++;
+                }};
+            }
+        });
+
+        const curve = await curves.getCurveFromName("slowworkers", {workersTimeout: 50});
+        assert(curve.singleThread);
+        assert.deepEqual(builds, [false, true]);
+
+        // The pool that starts late is shut down
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(lateTerminations, 1);
+        await curve.terminate();
+    });
+
+    it("starts maxWorkers workers", async () => {
+        await curves.terminate();
+        const restoreCores = fakeCores(3);
+        try {
+            const [full, limited] = await Promise.all([
+                curves.getCurveFromName("bn128"),
+                curves.getCurveFromName("bn128", {maxWorkers: 2}),
+            ]);
+            try {
+                assert.equal(full.tm.workers.length, 3);
+                assert.equal(limited.tm.workers.length, 2);
+                assert.equal(limited.tm.concurrency, 2);
+            } finally {
+                await full.terminate();
+                await limited.terminate();
+            }
+
+            // The cores are reported as before once the pools are built
+            assert.equal(globalThis.navigator ? globalThis.navigator.hardwareConcurrency : os.cpus().length, 3);
+        } finally {
+            restoreCores();
+        }
+    });
+});
@@ -0,0 +1,373 @@
+import * as groth16 from "../src/groth16.js";
+import { fastFileCreateOverride, fastFileReadExisting } from "../src/fastfile/fastfile.js";
+import { getCurveFromName } from "../src/curves.js";
+import { BigBuffer } from "ffjavascript";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+import os from "os";
+import http from "http";
+import zlib from "zlib";
+import crypto from "crypto";
+
+// Static file server for the files in dir. It honours single Range requests
+// unless acceptRanges is false, and records every request it serves.
+async function startStaticServer(dir, acceptRanges) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const fileName = path.join(dir, path.basename(req.url));
+        if (!fs.existsSync(fileName)) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        const data = fs.readFileSync(fileName);
+        const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || "");
+        if ((acceptRanges) && (m)) {
+            const start = parseInt(m[1]);
+            const end = Math.min(parseInt(m[2]), data.length - 1);
+            requests.push({url: req.url, start, end});
+            res.writeHead(206, {
+                "Content-Range": `bytes ${start}-${end}/${data.length}`,
+                "Content-Length": end - start + 1
+            });
+            res.end(data.subarray(start, end + 1));
+        } else {
+            requests.push({url: req.url});
+            res.writeHead(200, {"Content-Length": data.length});
+            res.end(data);
+        }
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+describe("FastFile test suite", function () {
+    this.timeout(1000000000);
+
+    const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+    const wtnsFilename = path.join("test", "groth16", "witness.wtns");
+    const vkeyFilename = path.join("test", "groth16", "verification_key.json");
+
+    let tmpDir;
+
+    before(async () => {
+        tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "snarkjs-fastfile-"));
+    });
+
+    after(async () => {
+        await fs.promises.rm(tmpDir, {recursive: true, force: true});
+    });
+
+    it("reads a file by name through a small cache", async () => {
+        const expected = new Uint8Array(fs.readFileSync(zkeyFilename));
+
+        for (const [cacheSize, pageSize] of [[undefined, undefined], [1 << 10, 1 << 8], [300, 100]]) {
+            const fd = await fastFileReadExisting(zkeyFilename, cacheSize, pageSize);
+            assert.equal(fd.totalSize, expected.byteLength);
+
+            // Sequential reads of several sizes, some of them larger than the cache
+            let pos = 0;
+            for (const len of [4, 4, 4, 1000, 7, 5000, 1, 300]) {
+                assert.deepEqual(await fd.read(len), expected.slice(pos, pos + len));
+                pos += len;
+            }
+
+            // Random access
+            for (let i = 0; i < 200; i++) {
+                const p = Math.floor(Math.random() * (expected.byteLength - 1));
+                const len = Math.min(expected.byteLength - p, Math.floor(Math.random() * 700) + 1);
+                assert.deepEqual(await fd.read(len, p), expected.slice(p, p + len));
+            }
+
+            await assert.rejects(fd.read(10, expected.byteLength - 5), /out of bounds/);
+            await fd.close();
+        }
+    });
+
+    it("writes a file by name through a small cache", async () => {
+        const fileName = path.join(tmpDir, "test.bin");
+        const expected = new Uint8Array(20000);
+
+        const fd = await fastFileCreateOverride({type: "file", fileName, cacheSize: 512, pageSize: 128});
+        await fd.writeULE32(0x01020304);
+        expected.set([4, 3, 2, 1], 0);
+
+        for (let i = 0; i < 100; i++) {
+            const p = Math.floor(Math.random() * 19000);
+            const buff = new Uint8Array(Math.floor(Math.random() * 1000) + 1);
+            for (let j = 0; j < buff.byteLength; j++) buff[j] = Math.floor(Math.random() * 256);
+            // Writes that are not awaited still run in order
+            fd.write(buff, p);
+            expected.set(buff, p);
+        }
+        await fd.write(new Uint8Array([9]), expected.byteLength - 1);
+        expected[expected.byteLength - 1] = 9;
+
+        assert.deepEqual(await fd.read(expected.byteLength, 0), expected);
+        await fd.close();
+
+        assert.deepEqual(new Uint8Array(fs.readFileSync(fileName)), expected);
+    });
+
+    it("reads and writes a chunked memory file", async () => {
+        const expected = new Uint8Array(fs.readFileSync(zkeyFilename));
+
+        // Uneven chunks, including an empty one, as a parallel download would give
+        const chunks = [];
+        for (let p = 0, i = 0; p < expected.byteLength; i++) {
+            const n = (i == 3) ? 0 : Math.min(expected.byteLength - p, 1000 + i*37);
+            chunks.push(expected.slice(p, p + n));
+            p += n;
+        }
+
+        const fd = await fastFileReadExisting({type: "mem", data: chunks});
+        assert.equal(fd.totalSize, expected.byteLength);
+        for (let i = 0; i < 200; i++) {
+            const p = Math.floor(Math.random() * (expected.byteLength - 1));
+            const len = Math.min(expected.byteLength - p, Math.floor(Math.random() * 3000) + 1);
+            assert.deepEqual(await fd.read(len, p), expected.slice(p, p + len));
+        }
+        await assert.rejects(fd.read(10, expected.byteLength - 5), /out of bounds/);
+
+        const bigBuffer = new BigBuffer(expected.byteLength);
+        bigBuffer.set(expected, 0);
+        const fdBig = await fastFileReadExisting(bigBuffer);
+        assert.deepEqual(await fdBig.read(expected.byteLength, 0), expected);
+
+        const o = {type: "bigMem", chunkSize: 100};
+        const fdW = await fastFileCreateOverride(o);
+        await fdW.write(expected.slice(0, 1234));
+        await fdW.writeULE32(0x01020304);
+        await fdW.write(expected.slice(50, 60), 95);
+        await fdW.close();
+
+        const written = expected.slice(0, 1238);
+        written.set([4, 3, 2, 1], 1234);
+        written.set(expected.slice(50, 60), 95);
+        assert.equal(o.data.length, 13);
+        assert.equal(o.data[12].byteLength, 38);
+        const fdR = await fastFileReadExisting(o.data);
+        assert.deepEqual(await fdR.read(fdR.totalSize), written);
+    });
+
+    it("writes a memory file in chunks and joins them on close", async () => {
+        const expected = new Uint8Array(fs.readFileSync(zkeyFilename)).slice(0, 1000);
+
+        const o = {type: "mem", chunkSize: 100};
+        const fd = await fastFileCreateOverride(o);
+        await fd.write(expected.slice(0, 150));
+        const firstChunk = fd.chunks[0];
+        await fd.write(expected.slice(150));
+
+        // Growing does not copy what is already written
+        assert.equal(fd.chunks.length, 10);
+        assert(fd.chunks[0] === firstChunk);
+
+        await fd.close();
+        assert(o.data instanceof Uint8Array);
+        assert.deepEqual(o.data, expected);
+    });
+
+    it("groth16 proves from a zkey in chunks", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const chunks = [];
+        for (let p = 0; p < zkey.byteLength; p += 4097) chunks.push(zkey.slice(p, p + 4097));
+
+        const curve = await getCurveFromName("bn128");
+        try {
+            const {proof, publicSignals} = await groth16.prove(chunks, wtnsFilename);
+            assert(await groth16.verify(vKey, publicSignals, proof));
+        } finally {
+            await curve.terminate();
+        }
+    });
+
+    it("groth16 fullProve from compressed zkey and wasm", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const input = JSON.parse(fs.readFileSync(path.join("test", "groth16", "witness.json"), "utf8"));
+        const zkey = fs.readFileSync(zkeyFilename);
+        const wasm = fs.readFileSync(path.join("test", "groth16", "circuit.wasm"));
+
+        const gzZkey = path.join(tmpDir, "circuit.zkey.gz");
+        fs.writeFileSync(gzZkey, zlib.gzipSync(zkey));
+        const brZkey = path.join(tmpDir, "circuit.zkey.br");
+        fs.writeFileSync(brZkey, zlib.brotliCompressSync(zkey));
+
+        const zkeys = [
+            gzZkey,
+            brZkey,
+            // zstd, made with the zstd command line tool
+            path.join("test", "groth16", "circuit.zkey.zst"),
+            // Brotli without a name to detect it
+            {type: "mem", data: new Uint8Array(zlib.brotliCompressSync(zkey)), compression: "br"},
+        ];
+        const wasms = [
+            new Uint8Array(zlib.gzipSync(wasm)),
+            {type: "mem", data: new Uint8Array(zlib.brotliCompressSync(wasm)), compression: "br"},
+            {type: "mem", data: new Uint8Array(zlib.brotliCompressSync(wasm)), compression: "br"},
+            new Uint8Array(wasm),
+        ];
+
+        const curve = await getCurveFromName("bn128");
+        try {
+            for (let i = 0; i < zkeys.length; i++) {
+                const fd = await fastFileReadExisting(zkeys[i]);
+                assert.deepEqual(await fd.read(fd.totalSize), new Uint8Array(zkey));
+
+                const {proof, publicSignals} = await groth16.fullProve(input, wasms[i], zkeys[i]);
+                assert(await groth16.verify(vKey, publicSignals, proof));
+            }
+        } finally {
+            await curve.terminate();
+        }
+
+        const fd = await fastFileReadExisting({type: "file", fileName: gzZkey, compression: "none"});
+        assert.equal(fd.totalSize, fs.statSync(gzZkey).size);
+        await fd.close();
+
+        // Brotli is only tried when asked for or by the name
+        await assert.rejects(groth16.prove(new Uint8Array(zlib.brotliCompressSync(zkey)), wtnsFilename), /Invalid File format/);
+    });
+
+    it("reads a remote file with range requests", async () => {
+        const server = await startStaticServer(path.join("test", "groth16"), true);
+        try {
+            const expected = new Uint8Array(fs.readFileSync(zkeyFilename));
+            const fd = await fastFileReadExisting({type: "url", url: `${server.url}/circuit.zkey`, cacheSize: 1 << 12, pageSize: 1 << 10});
+            assert.equal(fd.totalSize, expected.byteLength);
+
+            for (let i = 0; i < 100; i++) {
+                const p = Math.floor(Math.random() * (expected.byteLength - 1));
+                const len = Math.min(expected.byteLength - p, Math.floor(Math.random() * 3000) + 1);
+                assert.deepEqual(await fd.read(len, p), expected.slice(p, p + len));
+            }
+
+            fd.prefetch(1000, 5000);
+            const nRequests = server.requests.length;
+            assert.deepEqual(await fd.read(100, 2000), expected.slice(2000, 2100));
+            assert.deepEqual(await fd.read(5000, 1000), expected.slice(1000, 6000));
+            assert.equal(server.requests.length, nRequests + 1);
+
+            await assert.rejects(fd.read(10, expected.byteLength - 5), /out of bounds/);
+            await fd.close();
+
+            await assert.rejects(fastFileReadExisting(`${server.url}/missing.zkey`), /HTTP 404/);
+        } finally {
+            await server.close();
+        }
+    });
+
+    it("aborts the remote requests in flight on close", async () => {
+        const size = 1 << 16;
+        const pending = [];
+        // Only answers the first page
+        const server = http.createServer((req, res) => {
+            const m = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range);
+            const start = parseInt(m[1]);
+            if (start != 0) {
+                pending.push(res);
+                return;
+            }
+            const end = parseInt(m[2]);
+            res.writeHead(206, {"Content-Range": `bytes ${start}-${end}/${size}`});
+            res.end(new Uint8Array(end - start + 1));
+        });
+        await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+        try {
+            const fd = await fastFileReadExisting({type: "url", url: `http://127.0.0.1:${server.address().port}/file`, pageSize: 1 << 10});
+
+            fd.prefetch(1 << 12, 1 << 12);
+            fd.prefetch(1 << 13, 1 << 12);
+            // The buffer of a range is allocated when its download starts
+            assert.equal(fd.prefetched[1].buff, null);
+
+            const read = fd.read(1 << 12, 1 << 12);
+            while (pending.length == 0) await new Promise(resolve => setTimeout(resolve, 10));
+            await fd.close();
+            await assert.rejects(read, {name: "AbortError"});
+        } finally {
+            for (const res of pending) res.destroy();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it("groth16 proves from a zkey streamed from a URL", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const zkeySize = fs.statSync(zkeyFilename).size;
+        const curve = await getCurveFromName("bn128");
+        const server = await startStaticServer(path.join("test", "groth16"), true);
+        try {
+            const zkey = {type: "url", url: `${server.url}/circuit.zkey`, pageSize: 1 << 8};
+            const {proof, publicSignals} = await groth16.prove(zkey, `${server.url}/witness.wtns`);
+            assert(await groth16.verify(vKey, publicSignals, proof));
+
+            // The zkey is fetched by ranges and only once
+            const zkeyRequests = server.requests.filter(r => r.url == "/circuit.zkey");
+            assert(zkeyRequests.every(r => typeof r.start !== "undefined"));
+            const fetched = zkeyRequests.reduce((acc, r) => acc + r.end - r.start + 1, 0);
+            assert(fetched < zkeySize + 16 * 256);
+        } finally {
+            await server.close();
+            await curve.terminate();
+        }
+    });
+
+    it("groth16 hashes a zkey streamed from a URL without downloading it again", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const zkeyData = fs.readFileSync(zkeyFilename);
+        const zkeyDigest = "sha256:" + crypto.createHash("sha256").update(zkeyData).digest("hex");
+        const curve = await getCurveFromName("bn128");
+        const server = await startStaticServer(path.join("test", "groth16"), true);
+        try {
+            const zkey = {type: "url", url: `${server.url}/circuit.zkey`, pageSize: 1 << 8};
+            const {proof, publicSignals} = await groth16.prove(zkey, `${server.url}/witness.wtns`, undefined, {zkeyDigest});
+            assert(await groth16.verify(vKey, publicSignals, proof));
+
+            // The prover uses the bytes that were hashed, so nothing is
+            // fetched twice
+            const zkeyRequests = server.requests.filter(r => r.url == "/circuit.zkey");
+            const fetched = zkeyRequests.reduce((acc, r) => acc + r.end - r.start + 1, 0);
+            assert(fetched < zkeyData.length + 16 * 256);
+
+            await assert.rejects(
+                groth16.prove(zkey, `${server.url}/witness.wtns`, undefined, {zkeyDigest: "sha256:" + "0".repeat(64)}),
+                {name: "IntegrityError", artifact: "zkey"}
+            );
+        } finally {
+            await server.close();
+            await curve.terminate();
+        }
+    });
+
+    it("falls back to a full download when the server ignores ranges", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const curve = await getCurveFromName("bn128");
+        const server = await startStaticServer(path.join("test", "groth16"), false);
+        try {
+            const {proof, publicSignals} = await groth16.prove(`${server.url}/circuit.zkey`, `${server.url}/witness.wtns`);
+            assert(await groth16.verify(vKey, publicSignals, proof));
+            assert.equal(server.requests.length, 2);
+        } finally {
+            await server.close();
+            await curve.terminate();
+        }
+    });
+
+    it("groth16 proves and verifies from file names", async () => {
+        const vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        const curve = await getCurveFromName("bn128");
+        try {
+            const {proof, publicSignals} = await groth16.prove(zkeyFilename, wtnsFilename);
+            assert(await groth16.verify(vKey, publicSignals, proof));
+        } finally {
+            await curve.terminate();
+        }
+    });
+});
@@ -0,0 +1,82 @@
+import fftExtend, { oddCosetShift } from "../src/fft_extend.js";
+import { getCurveFromName } from "../src/curves.js";
+import crypto from "crypto";
+import assert from "assert";
+
+describe("fftExtend test suite", function () {
+    this.timeout(1000000000);
+
+    // Fr.s of bn128, checked in before()
+    const FR_S = 28;
+
+    // A domain of 2^power takes about 7*32*2^power bytes in this test, so the
+    // bigger ones are left pending by default: set FFT_EXTEND_MAX_POWER up to
+    // 28 to check them. From 2^25 on, the FFTs return BigBuffers. The odd
+    // coset of Fr.shift, used only for the domain of 2^Fr.s, is also checked
+    // below by lowering Fr.s.
+    const MAX_POWER = Number(process.env.FFT_EXTEND_MAX_POWER || 16);
+
+    let curve;
+    let Fr;
+
+    before(async () => {
+        curve = await getCurveFromName("bn128");
+        Fr = curve.Fr;
+        assert.equal(Fr.s, FR_S);
+    });
+
+    after(async () => {
+        await curve.terminate();
+    });
+
+    // Random elements below 2^253, which is below the order of Fr
+    function randomEvaluations(n) {
+        const buff = new Uint8Array(crypto.randomBytes(n*Fr.n8));
+        for (let i=0; i<n; i++) buff[(i+1)*Fr.n8 - 1] &= 0x1f;
+        return buff;
+    }
+
+    // The current path of the prover
+    async function ifftApplyKeyFft(buff, power) {
+        const coefs = await Fr.ifft(buff);
+        const coefsOdd = await Fr.batchApplyKey(coefs, Fr.e(1), oddCosetShift(Fr, power));
+        return await Fr.fft(coefsOdd);
+    }
+
+    for (let power=0; power<=FR_S; power++) {
+        it(`matches the IFFT, batchApplyKey and FFT on the domain of 2^${power}`, async function () {
+            if (power > MAX_POWER) this.skip();
+            let buff = randomEvaluations(2 ** power);
+            const res = await fftExtend(Fr, buff);
+            const expected = await ifftApplyKeyFft(buff, power);
+            buff = null;
+            assert(Buffer.from(res).equals(Buffer.from(expected)), `Domain 2^${power}`);
+        });
+    }
+
+    it("evaluates on the coset of Fr.shift for the largest domain", async () => {
+        const s = Fr.s;
+        try {
+            for (let power=0; power<=4; power++) {
+                Fr.s = power;
+                const n = 1 << power;
+                const buff = randomEvaluations(n);
+                const res = await fftExtend(Fr, buff);
+                assert.deepEqual(res, await ifftApplyKeyFft(buff, power), `Domain 2^${power}`);
+
+                // The second half of the extended domain of ffjavascript
+                const coefs = new Uint8Array(2*n*Fr.n8);
+                coefs.set(await Fr.ifft(buff));
+                const ext = await Fr.fft(coefs);
+                assert.deepEqual(res, ext.slice(n*Fr.n8), `Extended domain 2^${power+1}`);
+            }
+        } finally {
+            Fr.s = s;
+        }
+    });
+
+    it("rejects the domains that are not a power of 2 or are too big", async () => {
+        await assert.rejects(fftExtend(Fr, new Uint8Array(3*Fr.n8)), /power of 2/);
+        assert.throws(() => oddCosetShift(Fr, Fr.s + 1), /Domain too big/);
+    });
+});
@@ -0,0 +1,381 @@
+import * as groth16 from "../src/groth16.js";
+import * as zKey from "../src/zkey.js";
+import { getCurveFromName } from "../src/curves.js";
+import { getRandomGroth16Proof } from "./test.utils.js";
+import { Scalar, ChaCha } from "ffjavascript";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+
+describe("Groth16 test suite", function () {
+    this.timeout(1000000000);
+
+    const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+    const wtnsFilename = path.join("test", "groth16", "witness.wtns");
+    const vkeyFilename = path.join("test", "groth16", "verification_key.json");
+    const wasmFilename = path.join("test", "groth16", "circuit.wasm");
+    const inputFilename = path.join("test", "groth16", "witness.json");
+
+    let curve;
+    let vKey;
+    let proof;
+    let publicSignals;
+
+    before(async () => {
+        curve = await getCurveFromName("bn128");
+        vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+    });
+
+    after(async () => {
+        await curve.terminate();
+    });
+
+    it("groth16 proof", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const res = await groth16.prove(zkey, wtns);
+        proof = res.proof;
+        publicSignals = res.publicSignals;
+    });
+
+    it("groth16 verify", async () => {
+        const res = await groth16.verify(vKey, publicSignals, proof);
+        assert(res == true);
+    });
+
+    it("groth16 verify rejects tampered public signals", async () => {
+        const badSignals = [...publicSignals];
+        badSignals[0] = Scalar.toString(Scalar.add(badSignals[0], 1));
+
+        const res = await groth16.verify(vKey, badSignals, proof);
+        assert(res == false);
+    });
+
+    it("groth16 verify rejects a wrong number of public signals", async () => {
+        const res = await groth16.verify(vKey, [...publicSignals, "1"], proof);
+        assert(res == false);
+    });
+
+    it("groth16 verify rejects public signals out of the field", async () => {
+        const badSignals = [...publicSignals];
+        badSignals[0] = Scalar.toString(Scalar.add(badSignals[0], curve.r));
+
+        const res = await groth16.verify(vKey, badSignals, proof);
+        assert(res == false);
+    });
+
+    it("zkey export verificationkey matches the published one", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+
+        const vKeyFromBuff = await zKey.exportVerificationKey(zkey);
+        assert.deepEqual(vKeyFromBuff, vKey);
+
+        const vKeyFromMem = await zKey.exportVerificationKey({type: "mem", data: zkey});
+        assert.deepEqual(vKeyFromMem, vKey);
+
+        const res = await groth16.verify(vKeyFromMem, publicSignals, proof);
+        assert(res == true);
+    });
+
+    it("groth16 prove rejects when the signal is already aborted", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const controller = new AbortController();
+        controller.abort();
+
+        await assert.rejects(groth16.prove(zkey, wtns, undefined, {signal: controller.signal}), {name: "AbortError"});
+    });
+
+    it("groth16 fullProve stops when aborted mid-proof", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+
+        const controller = new AbortController();
+        const phases = [];
+        const logger = {
+            debug: (msg) => {
+                phases.push(msg);
+                if (msg == "Building ABC") controller.abort();
+            }
+        };
+
+        await assert.rejects(groth16.fullProve(input, wasm, zkey, logger, {signal: controller.signal}), {name: "AbortError"});
+        assert(!phases.includes("Join ABC"));
+    });
+
+    it("groth16 fullProve reports progress for every phase", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+
+        const events = [];
+        const onProgress = (e) => events.push(e);
+
+        const res = await groth16.fullProve(input, wasm, zkey, undefined, {onProgress});
+        assert(await groth16.verify(vKey, res.publicSignals, res.proof));
+
+        const phases = ["witness", "buildABC", "fft", "joinABC", "multiexp"];
+        assert.deepEqual([...new Set(events.map(e => e.phase))], phases);
+
+        for (const phase of phases) {
+            const phaseEvents = events.filter(e => e.phase == phase);
+            const last = phaseEvents[phaseEvents.length - 1];
+            assert.equal(phaseEvents[0].done, 0);
+            assert.equal(last.done, last.total);
+            for (let i = 1; i < phaseEvents.length; i++) {
+                assert(phaseEvents[i].done >= phaseEvents[i-1].done);
+                assert.equal(typeof phaseEvents[i].label, "string");
+            }
+        }
+    });
+
+    it("groth16 prove uses the given blinding factors", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const res1 = await groth16.prove(zkey, wtns, undefined, {r: 7, s: "11"});
+        const res2 = await groth16.prove(zkey, wtns, undefined, {r: 7, s: "11"});
+        assert.deepEqual(res1.proof, res2.proof);
+        assert(await groth16.verify(vKey, res1.publicSignals, res1.proof));
+
+        const res3 = await groth16.prove(zkey, wtns, undefined, {r: 7, s: "12"});
+        assert.notDeepEqual(res3.proof, res1.proof);
+        assert(await groth16.verify(vKey, res3.publicSignals, res3.proof));
+
+        // The default randomness source is not deterministic
+        assert.notDeepEqual(proof, (await groth16.prove(zkey, wtns)).proof);
+    });
+
+    it("groth16 prove draws the blinding factors from the given rng", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const seed = [1, 2, 3, 4, 5, 6, 7, 8];
+        const res1 = await groth16.prove(zkey, wtns, undefined, {rng: new ChaCha(seed)});
+        const res2 = await groth16.prove(zkey, wtns, undefined, {rng: new ChaCha(seed)});
+        assert.deepEqual(res1.proof, res2.proof);
+        assert(await groth16.verify(vKey, res1.publicSignals, res1.proof));
+    });
+
+    it("groth16 prove in insecure deterministic mode", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const res1 = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true});
+        const res2 = await groth16.prove(zkey, wtns, undefined, {r: 0, s: 0});
+        assert.deepEqual(res1.proof, res2.proof);
+        assert(await groth16.verify(vKey, res1.publicSignals, res1.proof));
+
+        await assert.rejects(groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true, r: 1}), /insecureDeterministic/);
+    });
+
+    it("groth16 prove in a single thread and with a limited worker pool", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+
+        const expected = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true});
+
+        const res1 = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true, singleThread: true});
+        assert.deepEqual(res1.proof, expected.proof);
+        const res2 = await groth16.fullProve(input, wasm, zkey, undefined, {insecureDeterministic: true, maxWorkers: 1});
+        assert.deepEqual(res2.proof, expected.proof);
+
+        const singleThreadProver = await groth16.createProver(zkey, undefined, {singleThread: true});
+        const limitedProver = await groth16.createProver(zkey, undefined, {maxWorkers: 1});
+        try {
+            assert(singleThreadProver.curve !== curve);
+            assert(singleThreadProver.curve.tm.singleThread);
+            assert(limitedProver.curve.tm.concurrency <= 1);
+
+            const res3 = await singleThreadProver.prove(wtns, {insecureDeterministic: true});
+            assert.deepEqual(res3.proof, expected.proof);
+        } finally {
+            await singleThreadProver.dispose();
+            await limitedProver.dispose();
+        }
+
+        await assert.rejects(groth16.prove(zkey, wtns, undefined, {maxWorkers: 0}), /Invalid maxWorkers/);
+    });
+
+    it("groth16 prove runs the FFTs and multiexps within the memory budget", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const messages = [];
+        const logger = {debug: (msg) => messages.push(msg), info: () => {}, warn: () => {}, error: () => {}};
+
+        const expected = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true});
+
+        // One job at a time
+        const res = await groth16.prove(zkey, wtns, logger, {insecureDeterministic: true, memoryBudget: 1});
+        assert.deepEqual(res.proof, expected.proof);
+
+        const timings = messages.find( (msg) => msg.startsWith("Timings:") );
+        assert(timings);
+        assert(/FFT \d+ms \(speedup [\d.]+x\)/.test(timings));
+        assert(/multiexp \d+ms \(speedup [\d.]+x\)/.test(timings));
+    });
+
+    it("groth16 prove evaluates the odd coset with fftExtend", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const expected = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true});
+        const res = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true, fftExtend: true});
+        assert.deepEqual(res.proof, expected.proof);
+    });
+
+    it("groth16 prove with and without the sparse witness multiexps", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+
+        const messages = [];
+        const logger = {debug: (msg) => messages.push(msg), info: () => {}, warn: () => {}, error: () => {}};
+
+        const res1 = await groth16.prove(zkey, wtns, logger, {insecureDeterministic: true});
+        const res2 = await groth16.prove(zkey, wtns, undefined, {insecureDeterministic: true, sparseWitness: false});
+        assert.deepEqual(res1.proof, res2.proof);
+        assert(messages.some( (msg) => /^Witness: \d+ zero, \d+ one and \d+ general scalars$/.test(msg) ));
+    });
+
+    it("groth16 fullProve checks the pinned zkey and wasm digests", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+
+        const zkeyDigest = "blake2b:" + crypto.createHash("blake2b512").update(zkey).digest("hex");
+        const wasmDigest = "sha256:" + crypto.createHash("sha256").update(wasm).digest("hex");
+
+        const res = await groth16.fullProve(input, wasm, zkey, undefined, {zkeyDigest, wasmDigest});
+        assert(await groth16.verify(vKey, res.publicSignals, res.proof));
+
+        // A bare hex digest is a sha256
+        const sha256 = crypto.createHash("sha256").update(zkey).digest("hex");
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+        await groth16.prove(zkey, wtns, undefined, {zkeyDigest: sha256.toUpperCase()});
+
+        // Tampered point in the H section
+        const badZkey = zkey.slice();
+        badZkey[badZkey.byteLength - 10] ^= 1;
+        const multiExpAffine = curve.G1.multiExpAffine;
+        let nMultiExps = 0;
+        curve.G1.multiExpAffine = function () {
+            nMultiExps++;
+            return multiExpAffine.apply(this, arguments);
+        };
+        try {
+            await assert.rejects(
+                groth16.fullProve(input, wasm, badZkey, undefined, {zkeyDigest, wasmDigest}),
+                (err) => (err.name == "IntegrityError") && (err.artifact == "zkey") && (err.expected == zkeyDigest)
+            );
+        } finally {
+            curve.G1.multiExpAffine = multiExpAffine;
+        }
+        assert.equal(nMultiExps, 0);
+
+        await assert.rejects(
+            groth16.fullProve(input, wasm, zkey, undefined, {zkeyDigest, wasmDigest: "sha256:" + sha256}),
+            {name: "IntegrityError", artifact: "wasm"}
+        );
+
+        await assert.rejects(groth16.prove(zkey, wtns, undefined, {zkeyDigest: "md5:1234"}), /Unsupported digest algorithm/);
+    });
+
+    it("groth16 verify on bls12381", async () => {
+        const curveBls = await getCurveFromName("bls12381");
+        try {
+            const {vk, publicSignals, proof} = getRandomGroth16Proof(curveBls, 3);
+
+            assert(await groth16.verify(vk, publicSignals, proof));
+
+            const newProof = await groth16.rerandomize(proof, vk);
+            assert.equal(newProof.curve, "bls12381");
+            assert(await groth16.verify(vk, publicSignals, newProof));
+
+            const res = await groth16.verifyBatch(vk, [
+                {publicSignals, proof},
+                {publicSignals, proof: newProof},
+            ]);
+            assert(res.valid);
+
+            const badProof = {...proof, pi_c: proof.pi_a};
+            assert(!(await groth16.verify(vk, publicSignals, badProof)));
+        } finally {
+            await curveBls.terminate();
+        }
+    });
+
+    it("groth16 rerandomize", async () => {
+        const newProof = await groth16.rerandomize(proof, vKey);
+
+        assert.equal(newProof.protocol, "groth16");
+        assert.equal(newProof.curve, "bn128");
+        assert.notDeepEqual(newProof.pi_a, proof.pi_a);
+        assert.notDeepEqual(newProof.pi_b, proof.pi_b);
+        assert.notDeepEqual(newProof.pi_c, proof.pi_c);
+        assert(await groth16.verify(vKey, publicSignals, newProof));
+
+        const badSignals = [...publicSignals];
+        badSignals[0] = Scalar.toString(Scalar.add(badSignals[0], 1));
+        assert(!(await groth16.verify(vKey, badSignals, newProof)));
+    });
+
+    it("groth16 verify batch", async () => {
+        const items = [];
+        for (let i = 0; i < 8; i++) {
+            items.push({publicSignals, proof: await groth16.rerandomize(proof, vKey)});
+        }
+
+        assert.deepEqual(await groth16.verifyBatch(vKey, items), {valid: true, invalid: []});
+
+        const badSignals = [Scalar.toString(Scalar.add(publicSignals[0], 1))];
+        items[2] = {publicSignals: badSignals, proof: items[2].proof};
+        items[5] = {publicSignals, proof: {...items[5].proof, pi_c: items[6].proof.pi_c}};
+        items[7] = {publicSignals: [...publicSignals, "1"], proof: items[7].proof};
+
+        assert.deepEqual(await groth16.verifyBatch(vKey, items), {valid: false, invalid: [2, 5, 7]});
+    });
+
+    it("groth16 prover session proves several witnesses", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+        const input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+
+        const prover = await groth16.createProver(zkey);
+        try {
+            const res1 = await prover.prove(wtns);
+            assert(await groth16.verify(vKey, res1.publicSignals, res1.proof));
+
+            const res2 = await prover.fullProve(input, wasm);
+            assert.deepEqual(res2.publicSignals, res1.publicSignals);
+            assert(await groth16.verify(vKey, res2.publicSignals, res2.proof));
+        } finally {
+            await prover.dispose();
+        }
+
+        await assert.rejects(prover.prove(wtns), /disposed/);
+    });
+
+    it("groth16 prover session checks the zkey digest once", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wtns = new Uint8Array(fs.readFileSync(wtnsFilename));
+        const zkeyDigest = "sha256:" + crypto.createHash("sha256").update(zkey).digest("hex");
+
+        const prover = await groth16.createProver(zkey, undefined, {zkeyDigest});
+        try {
+            const res = await prover.prove(wtns);
+            assert(await groth16.verify(vKey, res.publicSignals, res.proof));
+
+            await assert.rejects(prover.prove(wtns, {zkeyDigest}), /pass it to createProver/);
+        } finally {
+            await prover.dispose();
+        }
+    });
+});
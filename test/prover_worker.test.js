@@ -0,0 +1,76 @@
+import * as groth16 from "../src/groth16.js";
+import Worker from "web-worker";
+import assert from "assert";
+import path from "path";
+import fs from "fs";
+import url from "url";
+
+describe("Prover worker test suite", function () {
+    this.timeout(1000000000);
+
+    const zkeyFilename = path.join("test", "groth16", "circuit.zkey");
+    const wasmFilename = path.join("test", "groth16", "circuit.wasm");
+    const vkeyFilename = path.join("test", "groth16", "verification_key.json");
+    const inputFilename = path.join("test", "groth16", "witness.json");
+    const workerUrl = url.pathToFileURL(path.resolve("worker.js")).href;
+
+    let prover;
+    let vKey;
+    let input;
+
+    before(async () => {
+        prover = groth16.createProverWorker(new Worker(workerUrl, {type: "module"}));
+        vKey = JSON.parse(fs.readFileSync(vkeyFilename, "utf8"));
+        input = JSON.parse(fs.readFileSync(inputFilename, "utf8"));
+    });
+
+    after(async () => {
+        prover.terminate();
+    });
+
+    it("proves in the worker with the artifacts transferred", async () => {
+        const zkey = new Uint8Array(fs.readFileSync(zkeyFilename));
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+
+        const phases = new Set();
+        const {proof, publicSignals} = await prover.fullProve(input, wasm, {type: "mem", data: zkey}, {
+            onProgress: (event) => phases.add(event.phase)
+        });
+
+        assert(await groth16.verify(vKey, publicSignals, proof));
+        assert.deepEqual(Array.from(phases).sort(), ["buildABC", "fft", "joinABC", "multiexp", "witness"]);
+        assert.equal(zkey.byteLength, 0);
+        assert.equal(wasm.byteLength, 0);
+    });
+
+    it("proves from file names without transferring", async () => {
+        const wasm = new Uint8Array(fs.readFileSync(wasmFilename));
+
+        const {proof, publicSignals} = await prover.fullProve(input, wasm, zkeyFilename, {transfer: false});
+        assert(await groth16.verify(vKey, publicSignals, proof));
+        assert(wasm.byteLength > 0);
+    });
+
+    it("cancels a proof", async () => {
+        const controller = new AbortController();
+        const res = prover.fullProve(input, wasmFilename, zkeyFilename, {
+            signal: controller.signal,
+            onProgress: (event) => {
+                if (event.phase == "fft") controller.abort();
+            }
+        });
+        await assert.rejects(res, {name: "AbortError"});
+
+        // The worker is still usable
+        const {proof, publicSignals} = await prover.fullProve(input, wasmFilename, zkeyFilename);
+        assert(await groth16.verify(vKey, publicSignals, proof));
+    });
+
+    it("relays the errors of the worker", async () => {
+        await assert.rejects(
+            prover.fullProve(input, wasmFilename, zkeyFilename, {zkeyDigest: "sha256:" + "0".repeat(64)}),
+            {name: "IntegrityError", artifact: "zkey"}
+        );
+        await assert.rejects(prover.fullProve(input, wasmFilename, zkeyFilename, {rng: {}}), /rng/);
+    });
+});
@@ -0,0 +1,108 @@
+import sparseMultiExp, { partitionWitness } from "../src/sparse_multiexp.js";
+import { getCurveFromName } from "../src/curves.js";
+import assert from "assert";
+
+describe("Sparse multiexp test suite", function () {
+    this.timeout(1000000000);
+
+    const nPoints = 1 << 15;
+
+    let curve;
+    let Fr;
+
+    before(async () => {
+        curve = await getCurveFromName("bn128");
+        Fr = curve.Fr;
+    });
+
+    after(async () => {
+        await curve.terminate();
+    });
+
+    // Up to 1024 different points, repeated: the scalar multiplications that
+    // build them are slow.
+    async function randomBases(G, n) {
+        const sG = G.F.n8*2;
+        const nDifferent = Math.min(n, 1024);
+        const buffG = new Uint8Array(sG);
+        G.toRprLEM(buffG, 0, G.toAffine(G.g));
+        const buff = new Uint8Array(nDifferent*sG);
+        for (let i=0; i<nDifferent; i++) buff.set(buffG, i*sG);
+        const points = await G.batchApplyKey(buff, Fr.random(), Fr.random());
+
+        const bases = new Uint8Array(n*sG);
+        for (let i=0; i<n; i+=nDifferent) bases.set(points.subarray(0, Math.min(n-i, nDifferent)*sG), i*sG);
+        return bases;
+    }
+
+    // Like a circuit with bit decompositions: runs of bits between general
+    // values. 7/8 of the scalars are 0 or 1.
+    function sparseWitness(n) {
+        const buff = new Uint8Array(n*Fr.n8);
+        for (let i=0; i<n; i++) {
+            if (i % 32 < 28) {
+                buff[i*Fr.n8] = Math.random() < 0.5 ? 0 : 1;
+            } else {
+                buff.set(Fr.fromMontgomery(Fr.random()), i*Fr.n8);
+            }
+        }
+        return buff;
+    }
+
+    it("partitions the witness in runs", async () => {
+        const buff = new Uint8Array(6*Fr.n8);
+        buff[1*Fr.n8] = 1;
+        buff[2*Fr.n8] = 1;
+        buff[3*Fr.n8] = 2;
+        buff[4*Fr.n8 + 1] = 1;
+        const partition = partitionWitness(buff, Fr.n8);
+        assert.deepEqual(Array.from(partition.runStarts), [0, 1, 3, 5, 6]);
+        assert.deepEqual(Array.from(partition.runClasses), [0, 1, 2, 0]);
+        assert.equal(partition.nZeros, 2);
+        assert.equal(partition.nOnes, 2);
+        assert.equal(partition.nGeneral, 2);
+    });
+
+    for (const groupName of ["G1", "G2"]) {
+        it(`matches the multiexp of the whole witness in ${groupName}`, async () => {
+            const G = curve[groupName];
+            const n = 1000;
+            const bases = await randomBases(G, n);
+            const witness = sparseWitness(n);
+            const partition = partitionWitness(witness, Fr.n8);
+
+            const expected = await G.multiExpAffine(bases, witness);
+            assert(G.eq(await sparseMultiExp(G, bases, witness, partition, 0), expected));
+
+            const from = 7;
+            const expectedFrom = await G.multiExpAffine(bases.slice(from*G.F.n8*2), witness.slice(from*Fr.n8));
+            const res = await sparseMultiExp(G, bases.slice(from*G.F.n8*2), witness, partition, from);
+            assert(G.eq(res, expectedFrom));
+        });
+    }
+
+    it("reports the speedup over the multiexp of the whole witness", async () => {
+        const G = curve.G1;
+        const bases = await randomBases(G, nPoints);
+        const witness = sparseWitness(nPoints);
+
+        // Best of two runs, the first one warms up the workers
+        let timeFull = Infinity;
+        let timeSparse = Infinity;
+        let partition;
+        for (let i=0; i<2; i++) {
+            let t = Date.now();
+            const expected = await G.multiExpAffine(bases, witness);
+            timeFull = Math.min(timeFull, Date.now() - t);
+
+            t = Date.now();
+            partition = partitionWitness(witness, Fr.n8);
+            const res = await sparseMultiExp(G, bases, witness, partition, 0);
+            timeSparse = Math.min(timeSparse, Date.now() - t);
+
+            assert(G.eq(res, expected));
+        }
+        console.log(`        ${partition.nZeros} zero, ${partition.nOnes} one and ${partition.nGeneral} general scalars: ` +
+            `whole witness ${timeFull}ms, sparse ${timeSparse}ms (speedup ${(timeFull / Math.max(timeSparse, 1)).toFixed(2)}x)`);
+    });
+});
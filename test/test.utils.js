@@ -18,3 +18,54 @@ export function getRandomArray(length, Fr) {
     return buffer;
 }
 
+
+// Builds a groth16 verification key and a matching valid proof straight from
+// random trapdoor values, so the verifier can be exercised on any curve
+// without running a setup.
+export function getRandomGroth16Proof(curve, nPublic) {
+    const {Fr, G1, G2} = curve;
+
+    const alpha = Fr.random();
+    const beta = Fr.random();
+    const gamma = Fr.random();
+    const delta = Fr.random();
+
+    const vk = {
+        protocol: "groth16",
+        curve: curve.name,
+        nPublic: nPublic,
+        vk_alpha_1: G1.toObject(G1.toAffine(G1.timesFr(G1.g, alpha))),
+        vk_beta_2: G2.toObject(G2.toAffine(G2.timesFr(G2.g, beta))),
+        vk_gamma_2: G2.toObject(G2.toAffine(G2.timesFr(G2.g, gamma))),
+        vk_delta_2: G2.toObject(G2.toAffine(G2.timesFr(G2.g, delta))),
+        IC: []
+    };
+
+    const publicSignals = [];
+    let pub = Fr.zero;
+    for (let i = 0; i <= nPublic; i++) {
+        const ic = Fr.random();
+        const x = i == 0 ? Fr.one : Fr.random();
+        vk.IC.push(G1.toObject(G1.toAffine(G1.timesFr(G1.g, ic))));
+        if (i > 0) publicSignals.push(Fr.toObject(x));
+        pub = Fr.add(pub, Fr.mul(ic, x));
+    }
+
+    const a = Fr.random();
+    const b = Fr.random();
+    // a*b = alpha*beta + pub*gamma + c*delta
+    const c = Fr.div(
+        Fr.sub(Fr.sub(Fr.mul(a, b), Fr.mul(alpha, beta)), Fr.mul(pub, gamma)),
+        delta
+    );
+
+    const proof = {
+        pi_a: G1.toObject(G1.toAffine(G1.timesFr(G1.g, a))),
+        pi_b: G2.toObject(G2.toAffine(G2.timesFr(G2.g, b))),
+        pi_c: G1.toObject(G1.toAffine(G1.timesFr(G1.g, c))),
+        protocol: "groth16",
+        curve: curve.name
+    };
+
+    return {vk, publicSignals, proof};
+}
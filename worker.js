@@ -0,0 +1,4 @@
+// Entry point of the prover worker used by groth16.createProverWorker
+import installProverWorker from "./src/groth16_worker.js";
+
+installProverWorker(globalThis);